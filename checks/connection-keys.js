@@ -0,0 +1,103 @@
+const {
+  sourceConfigFileTypes,
+  validationRules,
+  severities,
+  connectionKeys,
+} = require("../enums");
+const { getConnectionRefUsages } = require("./connection-references");
+
+const SERVICE_REFERENCE_PREFIXES = ["choreo:///", "thirdparty:", "database:"];
+
+// getResourceKind - Returns the kind (service, database or thirdparty) of a connection reference resourceRef or
+// a legacy service reference name, or null if it cannot be determined
+function getResourceKind(resourceRef) {
+  if (typeof resourceRef !== "string") {
+    return null;
+  }
+  if (resourceRef.startsWith("database:")) {
+    return "database";
+  }
+  if (resourceRef.startsWith("thirdparty:")) {
+    return "thirdparty";
+  }
+  // "service:" is optional in resourceRefs, legacy service references use choreo:///
+  return "service";
+}
+
+function invalidKeyDiagnostic(path, key, kind, connectionName) {
+  return {
+    path,
+    message: `${path} '${key}' is not a valid key for the ${kind} connection '${connectionName}'. Use one of: ${connectionKeys[
+      kind
+    ].join(", ")}`,
+    rule: validationRules.INVALID_CONNECTION_KEY,
+    severity: severities.ERROR,
+  };
+}
+
+// checkConnectionKeys - Checks that the keys read from connections are valid for the kind of the referenced
+// resource, for both env variable connectionRefs and the env mappings of legacy service references
+function checkConnectionKeys(srcConfigYamlFile, { fileType }) {
+  if (fileType !== sourceConfigFileTypes.COMPONENT_YAML) {
+    return [];
+  }
+  const diagnostics = [];
+
+  const connectionKinds = new Map();
+  const connectionReferences =
+    srcConfigYamlFile.dependencies?.connectionReferences;
+  if (Array.isArray(connectionReferences)) {
+    for (const connectionReference of connectionReferences) {
+      if (typeof connectionReference?.name === "string") {
+        connectionKinds.set(
+          connectionReference.name.trim(),
+          getResourceKind(connectionReference.resourceRef)
+        );
+      }
+    }
+  }
+  for (const usage of getConnectionRefUsages(srcConfigYamlFile)) {
+    if (typeof usage.key !== "string") {
+      continue;
+    }
+    // undeclared connection references are reported by checkConnectionReferences
+    const kind = connectionKinds.get(usage.name);
+    if (kind && !connectionKeys[kind].includes(usage.key)) {
+      diagnostics.push(
+        invalidKeyDiagnostic(usage.keyPath, usage.key, kind, usage.name)
+      );
+    }
+  }
+
+  const serviceReferences = srcConfigYamlFile.dependencies?.serviceReferences;
+  if (Array.isArray(serviceReferences)) {
+    serviceReferences.forEach((serviceReference, refIndex) => {
+      const name = serviceReference?.name;
+      // names in other formats are reported by the validate-service-name rule
+      const kind = SERVICE_REFERENCE_PREFIXES.some(
+        (prefix) => typeof name === "string" && name.startsWith(prefix)
+      )
+        ? getResourceKind(name)
+        : null;
+      if (!kind || !Array.isArray(serviceReference.env)) {
+        return;
+      }
+      serviceReference.env.forEach((envMapping, envIndex) => {
+        const key = envMapping?.from;
+        if (typeof key === "string" && !connectionKeys[kind].includes(key)) {
+          diagnostics.push(
+            invalidKeyDiagnostic(
+              `dependencies.serviceReferences[${refIndex}].env[${envIndex}].from`,
+              key,
+              kind,
+              serviceReference.name
+            )
+          );
+        }
+      });
+    });
+  }
+  return diagnostics;
+}
+
+module.exports = checkConnectionKeys;
@@ -0,0 +1,81 @@
+const {
+  sourceConfigFileTypes,
+  validationRules,
+  severities,
+} = require("../enums");
+
+// configuration sections holding env variables, configuration is the deprecated name of configurations
+const CONFIGURATION_KEYS = ["configuration", "configurations"];
+
+// getConnectionRefUsages - Returns the env variables that take their value from a connection reference, with the
+// name of the connection reference and the key read from it, along with their paths
+function getConnectionRefUsages(srcConfigYamlFile) {
+  const usages = [];
+  for (const configurationKey of CONFIGURATION_KEYS) {
+    const env = srcConfigYamlFile[configurationKey]?.env;
+    if (!Array.isArray(env)) {
+      continue;
+    }
+    env.forEach((envVariable, index) => {
+      const connectionRef = envVariable?.valueFrom?.connectionRef;
+      if (typeof connectionRef?.name === "string") {
+        const connectionRefPath = `${configurationKey}.env[${index}].valueFrom.connectionRef`;
+        usages.push({
+          name: connectionRef.name.trim(),
+          path: `${connectionRefPath}.name`,
+          key: connectionRef.key,
+          keyPath: `${connectionRefPath}.key`,
+          envVariableName: envVariable.name,
+        });
+      }
+    });
+  }
+  return usages;
+}
+
+// checkConnectionReferences - Checks that the connectionRefs of env variables refer to declared
+// dependencies.connectionReferences, and that every declared connection reference is used
+function checkConnectionReferences(srcConfigYamlFile, { fileType }) {
+  if (fileType !== sourceConfigFileTypes.COMPONENT_YAML) {
+    return [];
+  }
+  const connectionReferences =
+    srcConfigYamlFile.dependencies?.connectionReferences;
+  const declaredNames = Array.isArray(connectionReferences)
+    ? connectionReferences.map((connectionReference) =>
+        typeof connectionReference?.name === "string"
+          ? connectionReference.name.trim()
+          : null
+      )
+    : [];
+  const usages = getConnectionRefUsages(srcConfigYamlFile);
+
+  const diagnostics = [];
+  for (const usage of usages) {
+    if (!declaredNames.includes(usage.name)) {
+      diagnostics.push({
+        path: usage.path,
+        message: `${usage.path} refers to the connection reference '${usage.name}', which is not declared in dependencies.connectionReferences`,
+        rule: validationRules.UNDECLARED_CONNECTION_REFERENCE,
+        severity: severities.ERROR,
+      });
+    }
+  }
+  const usedNames = new Set(usages.map((usage) => usage.name));
+  declaredNames.forEach((declaredName, index) => {
+    if (declaredName && !usedNames.has(declaredName)) {
+      diagnostics.push({
+        path: `dependencies.connectionReferences[${index}].name`,
+        message: `dependencies.connectionReferences[${index}] '${declaredName}' is not used by any environment variable. Remove it if the component does not use this connection.`,
+        rule: validationRules.UNUSED_CONNECTION_REFERENCE,
+        severity: severities.WARNING,
+      });
+    }
+  });
+  return diagnostics;
+}
+
+module.exports = {
+  checkConnectionReferences,
+  getConnectionRefUsages,
+};
@@ -0,0 +1,82 @@
+const fs = require("fs");
+const path = require("path");
+const { validationRules, severities } = require("../enums");
+const { getEndpoints, getEndpointsPath } = require("./endpoints");
+const { getExposedPorts } = require("./dockerfile");
+
+// getEndpointProtocol - Returns the transport protocol of the port of an endpoint, as written in EXPOSE
+function getEndpointProtocol(endpoint) {
+  return endpoint.type === "UDP" ? "udp" : "tcp";
+}
+
+// checkDockerfilePorts - Cross-checks the ports of the endpoints against the EXPOSE instructions of the final stage
+// of the Dockerfile of the component. Only runs when a dockerfilePath, relative to the source root directory, is
+// given, and warns when the Dockerfile cannot be read. Components without endpoints are not checked, as web
+// applications and tasks may expose ports that are not endpoints.
+function checkDockerfilePorts(
+  srcConfigYamlFile,
+  { fileType, sourceRootDir, dockerfilePath }
+) {
+  if (!dockerfilePath) {
+    return [];
+  }
+  let content;
+  try {
+    content = fs.readFileSync(path.join(sourceRootDir, dockerfilePath), "utf8");
+  } catch (error) {
+    return [
+      {
+        path: null,
+        message:
+          error.code === "ENOENT"
+            ? `Dockerfile ${dockerfilePath} not found, the endpoint ports were not checked against it. Correct the Dockerfile path, or turn off the missing-dockerfile rule for components without a Dockerfile.`
+            : `Failed to read the Dockerfile ${dockerfilePath}, the endpoint ports were not checked against it: ${error.message}`,
+        rule: validationRules.MISSING_DOCKERFILE,
+        severity: severities.WARNING,
+      },
+    ];
+  }
+  const endpoints = getEndpoints(srcConfigYamlFile, fileType);
+  if (endpoints.length === 0) {
+    return [];
+  }
+  const exposedPorts = getExposedPorts(content);
+  const isExposedBy = (endpoint, exposedPort) =>
+    exposedPort.protocol === getEndpointProtocol(endpoint) &&
+    endpoint.port >= exposedPort.from &&
+    endpoint.port <= exposedPort.to;
+
+  const diagnostics = [];
+  for (const endpoint of endpoints) {
+    if (
+      endpoint.port === null ||
+      exposedPorts.some((exposedPort) => isExposedBy(endpoint, exposedPort))
+    ) {
+      continue;
+    }
+    const spec =
+      getEndpointProtocol(endpoint) === "udp"
+        ? `${endpoint.port}/udp`
+        : `${endpoint.port}`;
+    diagnostics.push({
+      path: endpoint.portPath,
+      message: `${endpoint.portPath} ${endpoint.port} is not exposed by ${dockerfilePath}. Add EXPOSE ${spec} to its final stage, or correct the port.`,
+      rule: validationRules.UNEXPOSED_ENDPOINT_PORT,
+      severity: severities.WARNING,
+    });
+  }
+  for (const exposedPort of exposedPorts) {
+    if (endpoints.some((endpoint) => isExposedBy(endpoint, exposedPort))) {
+      continue;
+    }
+    diagnostics.push({
+      path: getEndpointsPath(fileType),
+      message: `${dockerfilePath} exposes ${exposedPort.spec} on line ${exposedPort.line}, but no endpoint uses it. Add an endpoint for it, or remove it from the EXPOSE instruction.`,
+      rule: validationRules.UNUSED_EXPOSED_PORT,
+      severity: severities.WARNING,
+    });
+  }
+  return diagnostics;
+}
+
+module.exports = checkDockerfilePorts;
@@ -0,0 +1,175 @@
+// getLogicalLines - Splits the content of a Dockerfile into instructions, joining the lines continued with the
+// escape character and dropping comments and empty lines. Each instruction keeps the 1-based number of its first
+// line. The escape character is \ unless an escape parser directive at the top of the file changes it.
+function getLogicalLines(content) {
+  const lines = content.split(/\r?\n/);
+  let escapeChar = "\\";
+  // parser directives are only read before the first instruction, comment or empty line
+  for (const line of lines) {
+    const directive = /^#\s*([a-zA-Z]+)\s*=\s*(\S*)\s*$/.exec(line);
+    if (!directive) {
+      break;
+    }
+    if (directive[1].toLowerCase() === "escape" && directive[2]) {
+      escapeChar = directive[2];
+    }
+  }
+
+  const logicalLines = [];
+  let current = null;
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    // comments and empty lines are skipped, even inside a continued instruction
+    if (!trimmed || trimmed.startsWith("#")) {
+      return;
+    }
+    const continued = trimmed.endsWith(escapeChar);
+    const text = continued ? trimmed.slice(0, -escapeChar.length) : trimmed;
+    if (current) {
+      current.text += ` ${text}`;
+    } else {
+      current = { text, line: index + 1 };
+    }
+    if (!continued) {
+      logicalLines.push(current);
+      current = null;
+    }
+  });
+  if (current) {
+    logicalLines.push(current);
+  }
+  return logicalLines;
+}
+
+// unquote - Removes the quotes around an ARG or ENV value
+function unquote(value) {
+  return /^"(.*)"$|^'(.*)'$/.test(value) ? value.slice(1, -1) : value;
+}
+
+// getAssignments - Returns the NAME=value assignments of an ARG or ENV instruction. ENV also accepts the legacy
+// ENV NAME value form.
+function getAssignments(args, allowLegacyForm) {
+  const firstWord = args.split(/\s+/)[0];
+  if (allowLegacyForm && firstWord && !firstWord.includes("=")) {
+    return [[firstWord, unquote(args.slice(firstWord.length).trim())]];
+  }
+  const assignments = [];
+  const assignmentRegex = /([^\s=]+)(?:=("(?:[^"\\]|\\.)*"|'[^']*'|\S*))?/g;
+  let match;
+  while ((match = assignmentRegex.exec(args)) !== null) {
+    assignments.push([
+      match[1],
+      match[2] === undefined ? undefined : unquote(match[2]),
+    ]);
+  }
+  return assignments;
+}
+
+// substituteVariables - Replaces the $NAME, ${NAME} and ${NAME:-default} references of a word with the values of
+// the variables. Returns null when a variable has no known value, e.g. an ARG that is only set at build time.
+function substituteVariables(word, variables) {
+  let resolved = true;
+  const result = word.replace(
+    /\$(?:\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}|([A-Za-z_][A-Za-z0-9_]*))/g,
+    (reference, bracedName, defaultValue, name) => {
+      const value = variables[bracedName || name];
+      if (value !== undefined && value !== "") {
+        return value;
+      }
+      if (defaultValue !== undefined) {
+        return defaultValue;
+      }
+      resolved = false;
+      return reference;
+    }
+  );
+  return resolved ? result : null;
+}
+
+// getVariables - Returns the variables of a build stage, where environment variables take precedence over ARGs
+function getVariables(stage) {
+  return { ...stage.args, ...stage.env };
+}
+
+// parsePortSpec - Parses a port of an EXPOSE instruction such as 8080, 8080/udp or 8000-8010/tcp
+function parsePortSpec(word) {
+  const match = /^(\d+)(?:-(\d+))?(?:\/(tcp|udp))?$/i.exec(word);
+  if (!match) {
+    return null;
+  }
+  return {
+    from: Number(match[1]),
+    to: Number(match[2] ?? match[1]),
+    protocol: (match[3] || "tcp").toLowerCase(),
+  };
+}
+
+// getExposedPorts - Returns the ports exposed by the final stage of a Dockerfile, as a list of
+// { from, to, protocol, spec, line } port ranges. A stage built from a previous stage inherits its exposed ports
+// and environment variables, but not its ARGs. Ports that depend on variables without a known value are left out.
+function getExposedPorts(content) {
+  const globalArgs = {};
+  const stages = new Map();
+  let stage = null;
+  for (const { text, line } of getLogicalLines(content)) {
+    const [, instruction = "", args = ""] = /^(\S+)\s*(.*)$/.exec(text) || [];
+    switch (instruction.toUpperCase()) {
+      case "FROM": {
+        const words = args
+          .split(/\s+/)
+          .filter((word) => !word.startsWith("--"));
+        const baseStage = stages.get((words[0] || "").toLowerCase());
+        stage = {
+          args: {},
+          env: { ...(baseStage?.env || {}) },
+          exposedPorts: [...(baseStage?.exposedPorts || [])],
+        };
+        if (words[1]?.toUpperCase() === "AS" && words[2]) {
+          stages.set(words[2].toLowerCase(), stage);
+        }
+        break;
+      }
+      case "ARG":
+        for (const [name, value] of getAssignments(args, false)) {
+          // ARGs declared before the first FROM are only visible to the stages that declare them again
+          if (!stage) {
+            globalArgs[name] = value;
+          } else {
+            stage.args[name] =
+              value === undefined
+                ? globalArgs[name]
+                : (substituteVariables(value, getVariables(stage)) ??
+                  undefined);
+          }
+        }
+        break;
+      case "ENV":
+        if (stage) {
+          for (const [name, value] of getAssignments(args, true)) {
+            stage.env[name] =
+              substituteVariables(value ?? "", getVariables(stage)) ??
+              undefined;
+          }
+        }
+        break;
+      case "EXPOSE":
+        if (stage) {
+          for (const word of args.split(/\s+/).filter(Boolean)) {
+            const spec = substituteVariables(word, getVariables(stage));
+            const port = spec === null ? null : parsePortSpec(spec);
+            if (port) {
+              stage.exposedPorts.push({ ...port, spec, line });
+            }
+          }
+        }
+        break;
+      default:
+        break;
+    }
+  }
+  return stage ? stage.exposedPorts : [];
+}
+
+module.exports = {
+  getExposedPorts,
+};
@@ -0,0 +1,69 @@
+const { sourceConfigFileTypes } = require("../enums");
+
+// toPort - Converts a port to a number, or null when it is not a whole number. Invalid ports are reported by the
+// schema validation.
+function toPort(port) {
+  const portNumber = Number(port);
+  return port !== null && port !== "" && Number.isInteger(portNumber)
+    ? portNumber
+    : null;
+}
+
+// getEndpointsPath - Returns the path of the list of endpoints in a source config file of the given type
+function getEndpointsPath(fileType) {
+  switch (fileType) {
+    case sourceConfigFileTypes.COMPONENT_YAML:
+    case sourceConfigFileTypes.ENDPOINT_YAML:
+      return "endpoints";
+    case sourceConfigFileTypes.COMPONENT_CONFIG_YAML:
+      return "spec.inbound";
+    default:
+      return null;
+  }
+}
+
+// getEndpoints - Returns the endpoints of a parsed source config file in a common shape, along with their path in
+// the file. component.yaml endpoints define their port and base path under service, while endpoints.yaml and
+// component-config.yaml endpoints define a port and a context. Entries that are not objects are skipped.
+// Ports are numbers, or null when they are missing or invalid.
+function getEndpoints(srcConfigYamlFile, fileType) {
+  const endpointsPath = getEndpointsPath(fileType);
+  if (!endpointsPath) {
+    return [];
+  }
+  const endpoints =
+    fileType === sourceConfigFileTypes.COMPONENT_CONFIG_YAML
+      ? srcConfigYamlFile.spec?.inbound
+      : srcConfigYamlFile.endpoints;
+  if (!Array.isArray(endpoints)) {
+    return [];
+  }
+  const isComponentYaml = fileType === sourceConfigFileTypes.COMPONENT_YAML;
+  return endpoints
+    .map((endpoint, index) => {
+      if (!endpoint || typeof endpoint !== "object") {
+        return null;
+      }
+      const path = `${endpointsPath}[${index}]`;
+      return {
+        path,
+        name: endpoint.name,
+        type: endpoint.type,
+        port: toPort(isComponentYaml ? endpoint.service?.port : endpoint.port),
+        portPath: isComponentYaml ? `${path}.service.port` : `${path}.port`,
+        basePath: isComponentYaml
+          ? endpoint.service?.basePath
+          : endpoint.context,
+        basePathPath: isComponentYaml
+          ? `${path}.service.basePath`
+          : `${path}.context`,
+        schemaFilePath: endpoint.schemaFilePath,
+      };
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  getEndpointsPath,
+  getEndpoints,
+};
@@ -0,0 +1,33 @@
+const { checkConnectionReferences } = require("./connection-references");
+const checkConnectionKeys = require("./connection-keys");
+const checkSchemaFiles = require("./schema-files");
+const checkOpenApiBasePath = require("./openapi-base-path");
+const checkPortConflicts = require("./port-conflicts");
+const checkDockerfilePorts = require("./dockerfile-ports");
+
+// documentChecks - Checks that span several parts of a source config file and cannot be expressed as a yup
+// schema. Each check receives the parsed source config file and a { fileType, schemaVersion, sourceRootDir,
+// dockerfilePath } context, and returns a list of { path, message, rule, severity } diagnostics. Checks run on
+// files that may not have passed the schema validation, hence must not assume the shape of the file.
+const documentChecks = [
+  checkConnectionReferences,
+  checkConnectionKeys,
+  checkSchemaFiles,
+  checkOpenApiBasePath,
+  checkPortConflicts,
+  checkDockerfilePorts,
+];
+
+// runDocumentChecks - Runs the document level checks on a parsed source config file
+async function runDocumentChecks(srcConfigYamlFile, context) {
+  const diagnostics = [];
+  for (const check of documentChecks) {
+    diagnostics.push(...(await check(srcConfigYamlFile, context)));
+  }
+  return diagnostics;
+}
+
+module.exports = {
+  documentChecks,
+  runDocumentChecks,
+};
@@ -0,0 +1,106 @@
+const fs = require("fs");
+const { validationRules, severities } = require("../enums");
+const { resolveSchemaFilePath } = require("../schema-file-path");
+const { getEndpoints } = require("./endpoints");
+const { parseYamlSchemaFile } = require("./schema-file-formats");
+
+// normalizeBasePath - Removes the trailing slashes of a base path, an empty base path is the root path
+function normalizeBasePath(basePath) {
+  return basePath.replace(/\/+$/, "") || "/";
+}
+
+// getServerPath - Returns the path of an OpenAPI 3 server url, with its variables replaced by their default
+// values. Server urls are either absolute, such as https://example.com/api, or relative, such as /api.
+function getServerPath(server) {
+  const url = String(server.url).replace(/\{([^}]+)\}/g, (variable, name) => {
+    const defaultValue = server.variables?.[name]?.default;
+    return defaultValue === undefined ? variable : String(defaultValue);
+  });
+  const absoluteUrl = /^[a-zA-Z][a-zA-Z0-9+.-]*:\/\/[^/]*(.*)$/.exec(url);
+  return (absoluteUrl ? absoluteUrl[1] : url).split(/[?#]/)[0];
+}
+
+// getDeclaredBasePaths - Returns the base paths declared by an OpenAPI document, along with the document path of
+// their declaration. OpenAPI 3 documents declare them in servers, Swagger 2 documents in basePath.
+function getDeclaredBasePaths(openApi) {
+  if (openApi.swagger !== undefined) {
+    return typeof openApi.basePath === "string"
+      ? [{ basePath: openApi.basePath, path: "basePath" }]
+      : [];
+  }
+  if (!Array.isArray(openApi.servers)) {
+    return [];
+  }
+  return openApi.servers
+    .map((server, index) =>
+      typeof server?.url === "string"
+        ? { basePath: getServerPath(server), path: `servers[${index}].url` }
+        : null
+    )
+    .filter(Boolean);
+}
+
+// checkOpenApiBasePath - Checks that the base path of a REST endpoint matches the base path declared by the
+// servers or basePath of its OpenAPI document. API gateway routing breaks when one is changed without the other.
+function checkOpenApiBasePath(srcConfigYamlFile, { fileType, sourceRootDir }) {
+  const diagnostics = [];
+  for (const endpoint of getEndpoints(srcConfigYamlFile, fileType)) {
+    const { schemaFilePath } = endpoint;
+    if (
+      endpoint.type !== "REST" ||
+      typeof endpoint.basePath !== "string" ||
+      typeof schemaFilePath !== "string" ||
+      !schemaFilePath
+    ) {
+      continue;
+    }
+    // paths outside the source root are reported by the schema-file-outside-source-root rule
+    const { filePath, error: pathError } = resolveSchemaFilePath(
+      sourceRootDir,
+      schemaFilePath
+    );
+    if (pathError) {
+      continue;
+    }
+    let content;
+    try {
+      content = fs.readFileSync(filePath, "utf8");
+    } catch (error) {
+      continue;
+    }
+    // broken OpenAPI documents are reported by the invalid-schema-file rule
+    const { value, getPosition } = parseYamlSchemaFile(content);
+    if (!value) {
+      continue;
+    }
+    const declaredBasePaths = getDeclaredBasePaths(value);
+    const basePath = normalizeBasePath(endpoint.basePath);
+    if (
+      declaredBasePaths.length === 0 ||
+      declaredBasePaths.some(
+        (declared) => normalizeBasePath(declared.basePath) === basePath
+      )
+    ) {
+      continue;
+    }
+    const declarations = declaredBasePaths.map((declared) => {
+      const { line, column } = getPosition(declared.path);
+      return `${normalizeBasePath(
+        declared.basePath
+      )} (${schemaFilePath} line ${line}, column ${column})`;
+    });
+    diagnostics.push({
+      path: endpoint.basePathPath,
+      message: `${endpoint.basePathPath} ${
+        endpoint.basePath
+      } does not match the base path declared in the OpenAPI document ${schemaFilePath}: ${declarations.join(
+        ", "
+      )}`,
+      rule: validationRules.OPENAPI_BASE_PATH_MISMATCH,
+      severity: severities.WARNING,
+    });
+  }
+  return diagnostics;
+}
+
+module.exports = checkOpenApiBasePath;
@@ -0,0 +1,42 @@
+const { validationRules, severities } = require("../enums");
+const { getEndpoints } = require("./endpoints");
+
+// portProtocols - Protocols that endpoints of each type serve on their port. Endpoints of the same protocol can
+// share a port, e.g. a REST and a GraphQL API served by the same HTTP server under different base paths.
+const portProtocols = {
+  REST: "HTTP",
+  GraphQL: "HTTP",
+  WS: "HTTP",
+  GRPC: "gRPC",
+  TCP: "TCP",
+  UDP: "UDP",
+};
+
+// checkPortConflicts - Checks that endpoints bound to the same port serve the same protocol, e.g. that a GRPC
+// endpoint does not use the port of a REST endpoint
+function checkPortConflicts(srcConfigYamlFile, { fileType }) {
+  const diagnostics = [];
+  const endpointsByPort = new Map();
+  for (const endpoint of getEndpoints(srcConfigYamlFile, fileType)) {
+    const { port } = endpoint;
+    const protocol = portProtocols[endpoint.type];
+    if (port === null || !protocol) {
+      continue;
+    }
+    const conflictingEndpoint = (endpointsByPort.get(port) || []).find(
+      (other) => portProtocols[other.type] !== protocol
+    );
+    if (conflictingEndpoint) {
+      diagnostics.push({
+        path: endpoint.portPath,
+        message: `${endpoint.portPath} ${port} is already used by the ${conflictingEndpoint.type} endpoint ${conflictingEndpoint.path}. ${endpoint.type} endpoints serve ${protocol}, which cannot share a port with ${portProtocols[conflictingEndpoint.type]}.`,
+        rule: validationRules.PORT_CONFLICT,
+        severity: severities.ERROR,
+      });
+    }
+    endpointsByPort.set(port, [...(endpointsByPort.get(port) || []), endpoint]);
+  }
+  return diagnostics;
+}
+
+module.exports = checkPortConflicts;
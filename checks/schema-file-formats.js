@@ -0,0 +1,235 @@
+const { parseDocument, LineCounter } = require("yaml");
+const {
+  parse: parseGraphQL,
+  buildASTSchema,
+  validateSchema,
+} = require("graphql");
+// validateSDL is not exported from the graphql package root, but it is the only way to get the located errors
+// of an SDL document. buildASTSchema reports them as a single message without locations.
+const { validateSDL } = require("graphql/validation/validate");
+const protobuf = require("protobufjs");
+const { createSourceMap } = require("../source-map");
+
+// schemaFileError - Creates an error found in a schema file, at its 1-based line and column when known
+function schemaFileError(message, position) {
+  return {
+    message,
+    line: position?.line ?? null,
+    column: position?.column ?? null,
+  };
+}
+
+function isMapping(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+// parseYamlSchemaFile - Parses a yaml or json schema file. Returns the parsed document along with a function that
+// maps a path in the document to its { line, column }, or the parse error of the file.
+function parseYamlSchemaFile(content) {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(content, { lineCounter, prettyErrors: false });
+  // the errors that follow the first one are usually caused by it
+  if (doc.errors.length > 0) {
+    const [error] = doc.errors;
+    const { line, col } = lineCounter.linePos(error.pos[0]);
+    return {
+      errors: [schemaFileError(error.message, { line, column: col })],
+    };
+  }
+  const value = doc.toJS();
+  const getPosition = createSourceMap(content);
+  if (!isMapping(value)) {
+    return {
+      errors: [
+        schemaFileError("The document must be a mapping", getPosition(null)),
+      ],
+    };
+  }
+  return { value, getPosition };
+}
+
+// checkInfo - Checks the info object that OpenAPI and AsyncAPI documents share
+function checkInfo(value, getPosition) {
+  if (!isMapping(value.info)) {
+    return [
+      schemaFileError(
+        "info is required and must be a mapping",
+        getPosition("info")
+      ),
+    ];
+  }
+  return ["title", "version"]
+    .filter((field) => value.info[field] === undefined)
+    .map((field) =>
+      schemaFileError(`info.${field} is required`, getPosition("info"))
+    );
+}
+
+// validateOpenApi - Checks that a schema file is an OpenAPI 3 or Swagger 2 document
+function validateOpenApi(content) {
+  const {
+    value,
+    getPosition,
+    errors: parseErrors,
+  } = parseYamlSchemaFile(content);
+  if (parseErrors) {
+    return parseErrors;
+  }
+  const errors = [];
+  let pathsRequired = true;
+  if (value.swagger !== undefined) {
+    // swagger: 2.0 without quotes is read as a number
+    if (value.swagger !== "2.0" && value.swagger !== 2) {
+      errors.push(
+        schemaFileError('swagger must be "2.0"', getPosition("swagger"))
+      );
+    }
+  } else if (value.openapi !== undefined) {
+    if (!/^3\.\d+\.\d+$/.test(String(value.openapi))) {
+      errors.push(
+        schemaFileError(
+          "openapi must be a 3.x.y version such as 3.0.3",
+          getPosition("openapi")
+        )
+      );
+    }
+    // OpenAPI 3.1 documents can describe only webhooks or components
+    pathsRequired = !(
+      /^3\.1\./.test(String(value.openapi)) &&
+      (value.webhooks !== undefined || value.components !== undefined)
+    );
+  } else {
+    return [
+      schemaFileError(
+        "The document has neither an openapi nor a swagger field",
+        getPosition(null)
+      ),
+    ];
+  }
+  errors.push(...checkInfo(value, getPosition));
+  if (value.paths === undefined) {
+    if (pathsRequired) {
+      errors.push(schemaFileError("paths is required", getPosition(null)));
+    }
+  } else if (!isMapping(value.paths)) {
+    errors.push(
+      schemaFileError("paths must be a mapping", getPosition("paths"))
+    );
+  } else {
+    for (const apiPath of Object.keys(value.paths)) {
+      // x- keys are specification extensions, not paths
+      if (!apiPath.startsWith("/") && !apiPath.startsWith("x-")) {
+        errors.push(
+          schemaFileError(
+            `The path ${apiPath} must start with a forward slash`,
+            getPosition(`paths[${JSON.stringify(apiPath)}]`)
+          )
+        );
+      }
+    }
+  }
+  return errors;
+}
+
+// validateAsyncApi - Checks that a schema file is an AsyncAPI 2 or 3 document
+function validateAsyncApi(content) {
+  const {
+    value,
+    getPosition,
+    errors: parseErrors,
+  } = parseYamlSchemaFile(content);
+  if (parseErrors) {
+    return parseErrors;
+  }
+  if (value.asyncapi === undefined) {
+    return [
+      schemaFileError(
+        "The document does not have an asyncapi field",
+        getPosition(null)
+      ),
+    ];
+  }
+  const errors = [];
+  if (!/^[23]\.\d+\.\d+$/.test(String(value.asyncapi))) {
+    errors.push(
+      schemaFileError(
+        "asyncapi must be a 2.x.y or 3.x.y version such as 2.6.0",
+        getPosition("asyncapi")
+      )
+    );
+  }
+  errors.push(...checkInfo(value, getPosition));
+  // channels are optional as of AsyncAPI 3
+  if (value.channels === undefined) {
+    if (String(value.asyncapi).startsWith("2.")) {
+      errors.push(schemaFileError("channels is required", getPosition(null)));
+    }
+  } else if (!isMapping(value.channels)) {
+    errors.push(
+      schemaFileError("channels must be a mapping", getPosition("channels"))
+    );
+  }
+  return errors;
+}
+
+// validateGraphQLSchema - Checks that a schema file is a valid GraphQL SDL schema with a Query type
+function validateGraphQLSchema(content) {
+  let ast;
+  try {
+    ast = parseGraphQL(content);
+  } catch (error) {
+    return [schemaFileError(error.message, error.locations?.[0])];
+  }
+  const sdlErrors = validateSDL(ast);
+  if (sdlErrors.length > 0) {
+    return sdlErrors.map((error) =>
+      schemaFileError(error.message, error.locations?.[0])
+    );
+  }
+  return validateSchema(buildASTSchema(ast, { assumeValidSDL: true })).map(
+    (error) => schemaFileError(error.message, error.locations?.[0])
+  );
+}
+
+// hasService - Checks whether a protobuf namespace defines a service, at any nesting level
+function hasService(namespace) {
+  return (namespace.nestedArray || []).some(
+    (nested) => nested instanceof protobuf.Service || hasService(nested)
+  );
+}
+
+// validateProtoFile - Checks that a schema file is a valid protobuf file defining a gRPC service
+function validateProtoFile(content) {
+  let root;
+  try {
+    root = protobuf.parse(content, { keepCase: true }).root;
+  } catch (error) {
+    // protobufjs reports the position of syntax errors as a "(line N)" suffix of the message
+    const match = /^(.*) \(line (\d+)\)$/.exec(error.message);
+    return match
+      ? [schemaFileError(match[1], { line: Number(match[2]), column: 1 })]
+      : [schemaFileError(error.message)];
+  }
+  if (!hasService(root)) {
+    return [schemaFileError("The file does not define a service")];
+  }
+  return [];
+}
+
+// schemaFileFormats - Formats of the schema files of each endpoint type. validate returns the list of
+// { message, line, column } errors found in the content of a schema file.
+const schemaFileFormats = {
+  REST: { name: "OpenAPI 2 or 3 document", validate: validateOpenApi },
+  GraphQL: { name: "GraphQL SDL schema", validate: validateGraphQLSchema },
+  GRPC: {
+    name: "protobuf file",
+    extension: ".proto",
+    validate: validateProtoFile,
+  },
+  WS: { name: "AsyncAPI document", validate: validateAsyncApi },
+};
+
+module.exports = {
+  schemaFileFormats,
+  parseYamlSchemaFile,
+};
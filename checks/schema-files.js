@@ -0,0 +1,81 @@
+const fs = require("fs");
+const path = require("path");
+const { validationRules, severities } = require("../enums");
+const { resolveSchemaFilePath } = require("../schema-file-path");
+const { getEndpoints } = require("./endpoints");
+const { schemaFileFormats } = require("./schema-file-formats");
+
+// formatSchemaFileError - Formats an error found in a schema file along with its position in that file
+function formatSchemaFileError(schemaFilePath, error) {
+  return error.line
+    ? `${error.message} (${schemaFilePath} line ${error.line}, column ${error.column})`
+    : `${error.message} (${schemaFilePath})`;
+}
+
+// checkSchemaFiles - Checks that the schema file of each endpoint is a valid schema of the endpoint type, such as
+// an OpenAPI document for REST endpoints. The diagnostics point at the schemaFilePath of the endpoint and include
+// the position of the error in the schema file.
+function checkSchemaFiles(srcConfigYamlFile, { fileType, sourceRootDir }) {
+  const diagnostics = [];
+  for (const endpoint of getEndpoints(srcConfigYamlFile, fileType)) {
+    const format = schemaFileFormats[endpoint.type];
+    const { schemaFilePath } = endpoint;
+    if (!format || typeof schemaFilePath !== "string" || !schemaFilePath) {
+      continue;
+    }
+    const diagnosticPath = `${endpoint.path}.schemaFilePath`;
+    const toDiagnostic = (message) => ({
+      path: diagnosticPath,
+      message: `${diagnosticPath} ${schemaFilePath} is not a valid ${format.name} for the ${endpoint.type} endpoint: ${message}`,
+      rule: validationRules.INVALID_SCHEMA_FILE,
+      severity: severities.ERROR,
+    });
+
+    if (format.extension && path.extname(schemaFilePath) !== format.extension) {
+      diagnostics.push(
+        toDiagnostic(`The file name must end with ${format.extension}`)
+      );
+      continue;
+    }
+    // paths outside the source root are reported by the schema-file-outside-source-root rule
+    const { filePath, error: pathError } = resolveSchemaFilePath(
+      sourceRootDir,
+      schemaFilePath
+    );
+    if (pathError) {
+      continue;
+    }
+    let stats;
+    try {
+      stats = fs.statSync(filePath);
+    } catch (error) {
+      // missing schema files are reported by the schema-file-exists rule
+      continue;
+    }
+    if (!stats.isFile()) {
+      diagnostics.push(
+        toDiagnostic(
+          stats.isDirectory()
+            ? "It is a directory, not a file"
+            : "It is not a regular file"
+        )
+      );
+      continue;
+    }
+    let content;
+    try {
+      content = fs.readFileSync(filePath, "utf8");
+    } catch (error) {
+      // the file was removed or cannot be read, there is no content to validate
+      continue;
+    }
+    for (const error of format.validate(content)) {
+      diagnostics.push(
+        toDiagnostic(formatSchemaFileError(schemaFilePath, error))
+      );
+    }
+  }
+  return diagnostics;
+}
+
+module.exports = checkSchemaFiles;
@@ -0,0 +1,490 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { validate, getSrcConfigFilePath, formatIssue } = require("./validator");
+const { findComponentDirs, validateAll } = require("./monorepo");
+const readline = require("readline/promises");
+const { migrate } = require("./migrate");
+const { planUpgrade, writeUpgrade } = require("./upgrade");
+const { fix } = require("./fix");
+const { reporters, getReporter } = require("./reporters");
+const { sourceConfigFileTypes, errCodes } = require("./enums");
+const { LATEST_COMPONENT_YAML_SCHEMA_VERSION } = require("./schemas");
+
+const exitCodes = {
+  SUCCESS: 0,
+  VALIDATION_FAILED: 1,
+  USAGE_ERROR: 2,
+};
+
+const usage = `Usage: choreo-validate [options] [files...]
+       choreo-validate migrate [options]
+       choreo-validate upgrade [options]
+
+Validate the Choreo source configuration file of a component.
+When files are given, such as the staged files passed by pre-commit or lint-staged, only the source configuration
+files among them are validated, each with the schema of its file name, and the report format defaults to "compact".
+Run "choreo-validate migrate --help" to migrate an endpoints.yaml or component-config.yaml to component.yaml.
+Run "choreo-validate upgrade --help" to upgrade a component.yaml to the latest schema version.
+
+Options:
+  -s, --source-root <path>  path to the root directory of the source code (default: ".")
+  -t, --file-type <type>    type of the file to validate, one of: ${Object.values(
+    sourceConfigFileTypes
+  ).join(", ")}
+                            (default: detected from the files in the .choreo directory)
+  -a, --all                 validate every component with a .choreo directory under the source root
+  -c, --components <glob>   validate the components whose directory matches the glob pattern,
+                            relative to the source root (can be repeated, implies --all)
+  -f, --format <format>     report format, one of: ${Object.keys(
+    reporters
+  ).join(", ")} (default: "text", or "compact" with files)
+  -o, --output <file>       write the report to the given file instead of the standard output
+      --strict              report the keys that the schema does not define, such as misspelled keys, as errors
+      --dockerfile <path>   cross-check the endpoint ports against the EXPOSE instructions of the Dockerfile
+                            at the given path, relative to the directory of each component
+      --plugin <path>       run the plugin module at the given path, relative to the working directory,
+                            on every component (can be repeated)
+      --port-collisions     warn about ports used by the endpoints of more than one component,
+                            with --all or --components
+      --fix                 correct the violations that have a mechanical fix, such as uppercase endpoint names,
+                            before validating, keeping the comments of the file
+  -h, --help                show this help message`;
+
+const migrateUsage = `Usage: choreo-validate migrate [options]
+
+Migrate the endpoints.yaml or component-config.yaml of a component to component.yaml v${LATEST_COMPONENT_YAML_SCHEMA_VERSION}.
+The migrated file is validated before it is written, and the original file is removed.
+
+Options:
+  -s, --source-root <path>  path to the root directory of the source code (default: ".")
+  -t, --file-type <type>    type of the file to migrate, one of: ${sourceConfigFileTypes.ENDPOINT_YAML}, ${sourceConfigFileTypes.COMPONENT_CONFIG_YAML}
+                            (default: detected from the files in the .choreo directory)
+  -n, --dry-run             print the migrated component.yaml without writing it
+      --force               overwrite an existing component.yaml
+  -h, --help                show this help message`;
+
+const upgradeUsage = `Usage: choreo-validate upgrade [options]
+
+Upgrade the component.yaml of a component to schema version ${LATEST_COMPONENT_YAML_SCHEMA_VERSION}, keeping its comments and formatting.
+The changes are shown as a diff and the upgraded file is validated before it is written.
+
+Options:
+  -s, --source-root <path>  path to the root directory of the source code (default: ".")
+  -n, --dry-run             show the changes without writing them
+  -y, --yes                 write the changes without asking for confirmation
+  -h, --help                show this help message`;
+
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: {
+      "source-root": { type: "string", short: "s", default: "." },
+      "file-type": { type: "string", short: "t" },
+      all: { type: "boolean", short: "a", default: false },
+      components: { type: "string", short: "c", multiple: true, default: [] },
+      format: { type: "string", short: "f" },
+      output: { type: "string", short: "o" },
+      strict: { type: "boolean", default: false },
+      dockerfile: { type: "string" },
+      plugin: { type: "string", multiple: true, default: [] },
+      "port-collisions": { type: "boolean", default: false },
+      fix: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+    strict: true,
+    allowPositionals: true,
+  });
+  return { ...values, files: positionals };
+}
+
+function parseMigrateCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      "source-root": { type: "string", short: "s", default: "." },
+      "file-type": { type: "string", short: "t" },
+      "dry-run": { type: "boolean", short: "n", default: false },
+      force: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+    strict: true,
+  });
+  return values;
+}
+
+function parseUpgradeCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      "source-root": { type: "string", short: "s", default: "." },
+      "dry-run": { type: "boolean", short: "n", default: false },
+      yes: { type: "boolean", short: "y", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+    strict: true,
+  });
+  return values;
+}
+
+// confirm - Asks a yes or no question on the terminal, the answer defaults to no
+async function confirm(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  try {
+    const answer = await rl.question(`${question} [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
+// toReportEntry - Creates a reporter entry of a validation result, with the file path relative to the working directory
+function toReportEntry(sourceRootDir, result) {
+  return {
+    filePath: path
+      .relative(
+        process.cwd(),
+        path.resolve(getSrcConfigFilePath(sourceRootDir, result.fileType))
+      )
+      .split(path.sep)
+      .join("/"),
+    result,
+  };
+}
+
+// toSourceConfigFiles - Picks the source config files out of a list of file paths, such as the staged files passed
+// by pre-commit or lint-staged. A source config file is in a .choreo directory and named after its file type, the
+// parent of the .choreo directory is the source root directory of its component. Other files are ignored.
+function toSourceConfigFiles(filePaths) {
+  const fileTypes = Object.values(sourceConfigFileTypes);
+  const files = new Map();
+  for (const filePath of filePaths) {
+    const resolvedPath = path.resolve(filePath);
+    const fileType = path.basename(resolvedPath);
+    const choreoDir = path.dirname(resolvedPath);
+    if (
+      fileTypes.includes(fileType) &&
+      path.basename(choreoDir) === ".choreo"
+    ) {
+      files.set(resolvedPath, {
+        sourceRootDir: path.dirname(choreoDir),
+        fileType,
+      });
+    }
+  }
+  return [...files.values()];
+}
+
+async function validateComponent(
+  sourceRootDir,
+  fileType,
+  { strict, dockerfilePath, plugins }
+) {
+  const result = await validate({
+    sourceRootDir,
+    fileType,
+    strict,
+    dockerfilePath,
+    plugins,
+  });
+  return [toReportEntry(sourceRootDir, result)];
+}
+
+async function validateMonorepo(
+  sourceRootDir,
+  fileType,
+  patterns,
+  { strict, checkPortCollisions, dockerfilePath, plugins }
+) {
+  const { components } = await validateAll({
+    rootDir: sourceRootDir,
+    patterns,
+    fileType,
+    strict,
+    checkPortCollisions,
+    dockerfilePath,
+    plugins,
+  });
+  if (components.length === 0) {
+    throw new Error(
+      `${errCodes.USER_ERROR} No components with a .choreo directory found in ${sourceRootDir}`
+    );
+  }
+  return components.map((component) =>
+    toReportEntry(path.join(sourceRootDir, component.componentDir), component)
+  );
+}
+
+// validateFiles - Validates the given { sourceRootDir, fileType } source config files, one after the other
+async function validateFiles(sourceConfigFiles, checkOptions) {
+  const entries = [];
+  for (const { sourceRootDir, fileType } of sourceConfigFiles) {
+    entries.push(
+      ...(await validateComponent(sourceRootDir, fileType, checkOptions))
+    );
+  }
+  return entries;
+}
+
+// fixComponents - Corrects the mechanically fixable violations of the source config files of the given
+// { sourceRootDir, fileType } components and prints the changes. They are printed on the standard error, so that
+// the report on the standard output stays parseable.
+function fixComponents(components) {
+  for (const { sourceRootDir: componentDir, fileType } of components) {
+    const { fileType: fixedFileType, fixes } = fix({
+      sourceRootDir: componentDir,
+      fileType,
+    });
+    if (fixes.length === 0) {
+      continue;
+    }
+    const { filePath } = toReportEntry(componentDir, {
+      fileType: fixedFileType,
+    });
+    console.error(
+      `Fixed ${filePath}:\n${fixes
+        .map((fixed) => `  - ${formatIssue(fixed)}`)
+        .join("\n")}`
+    );
+  }
+}
+
+// runMigrate - Runs the migrate command with the given command line arguments and returns the exit code
+async function runMigrate(argv) {
+  let args;
+  try {
+    args = parseMigrateCliArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${migrateUsage}`);
+    return exitCodes.USAGE_ERROR;
+  }
+  if (args.help) {
+    console.log(migrateUsage);
+    return exitCodes.SUCCESS;
+  }
+  const sourceRootDir = args["source-root"];
+
+  let migration;
+  try {
+    migration = await migrate({
+      sourceRootDir,
+      fileType: args["file-type"],
+      dryRun: args["dry-run"],
+      force: args.force,
+    });
+  } catch (error) {
+    console.error(error.message);
+    return exitCodes.VALIDATION_FAILED;
+  }
+
+  if (args["dry-run"]) {
+    console.log(migration.content);
+  }
+  console.log(reporters.text([toReportEntry(sourceRootDir, migration.result)]));
+  if (migration.written) {
+    console.log(
+      `Migrated ${getSrcConfigFilePath(
+        sourceRootDir,
+        migration.fileType
+      )} to ${getSrcConfigFilePath(
+        sourceRootDir,
+        sourceConfigFileTypes.COMPONENT_YAML
+      )}`
+    );
+  } else if (!migration.result.valid) {
+    console.error(
+      `The migrated ${sourceConfigFileTypes.COMPONENT_YAML} is not valid and was not written. Fix ${getSrcConfigFilePath(
+        sourceRootDir,
+        migration.fileType
+      )} and try again.`
+    );
+  }
+  return migration.result.valid
+    ? exitCodes.SUCCESS
+    : exitCodes.VALIDATION_FAILED;
+}
+
+// runUpgrade - Runs the upgrade command with the given command line arguments and returns the exit code
+async function runUpgrade(argv) {
+  let args;
+  try {
+    args = parseUpgradeCliArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${upgradeUsage}`);
+    return exitCodes.USAGE_ERROR;
+  }
+  if (args.help) {
+    console.log(upgradeUsage);
+    return exitCodes.SUCCESS;
+  }
+  const sourceRootDir = args["source-root"];
+
+  let plan;
+  try {
+    plan = await planUpgrade({ sourceRootDir });
+  } catch (error) {
+    console.error(error.message);
+    return exitCodes.VALIDATION_FAILED;
+  }
+
+  if (plan.diff) {
+    console.log(plan.diff);
+    console.log(plan.changes.map((change) => `- ${change}`).join("\n"));
+  } else {
+    console.log(
+      `${plan.filePath} is already at schema version ${plan.toVersion.toFixed(
+        1
+      )}`
+    );
+  }
+  for (const suggestion of plan.suggestions) {
+    console.log(`suggestion: ${suggestion}`);
+  }
+  console.log(reporters.text([toReportEntry(sourceRootDir, plan.result)]));
+  if (!plan.result.valid) {
+    if (plan.diff) {
+      console.error(
+        `The upgraded ${sourceConfigFileTypes.COMPONENT_YAML} is not valid and was not written.`
+      );
+    }
+    return exitCodes.VALIDATION_FAILED;
+  }
+  if (!plan.diff || args["dry-run"]) {
+    return exitCodes.SUCCESS;
+  }
+  // ask before overwriting the file of an interactive user, scripts pass --yes or run without a terminal
+  if (
+    !args.yes &&
+    process.stdin.isTTY &&
+    !(await confirm(`Write the changes to ${plan.filePath}?`))
+  ) {
+    console.log("The changes were not written.");
+    return exitCodes.SUCCESS;
+  }
+  try {
+    writeUpgrade(plan);
+  } catch (error) {
+    console.error(`Failed to write ${plan.filePath}: ${error.message}`);
+    return exitCodes.VALIDATION_FAILED;
+  }
+  console.log(
+    `Upgraded ${plan.filePath} from schema version ${plan.fromVersion.toFixed(
+      1
+    )} to ${plan.toVersion.toFixed(1)}`
+  );
+  return exitCodes.SUCCESS;
+}
+
+// run - Runs the validator with the given command line arguments and returns the exit code
+async function run(argv) {
+  if (argv[0] === "migrate") {
+    return runMigrate(argv.slice(1));
+  }
+  if (argv[0] === "upgrade") {
+    return runUpgrade(argv.slice(1));
+  }
+  let args;
+  let reporter;
+  try {
+    args = parseCliArgs(argv);
+    if (
+      args.files.length > 0 &&
+      (args.all || args.components.length > 0 || args["file-type"])
+    ) {
+      throw new Error(
+        "Files cannot be combined with --all, --components or --file-type"
+      );
+    }
+    reporter = getReporter(
+      args.format || (args.files.length > 0 ? "compact" : "text")
+    );
+  } catch (error) {
+    console.error(`${error.message}\n\n${usage}`);
+    return exitCodes.USAGE_ERROR;
+  }
+  if (args.help) {
+    console.log(usage);
+    return exitCodes.SUCCESS;
+  }
+  const sourceRootDir = args["source-root"];
+  const fileType = args["file-type"];
+  const monorepo = args.all || args.components.length > 0;
+  const sourceConfigFiles =
+    args.files.length > 0 ? toSourceConfigFiles(args.files) : null;
+  // options of the optional checks
+  const checkOptions = {
+    strict: args.strict,
+    checkPortCollisions: args["port-collisions"],
+    dockerfilePath: args.dockerfile,
+    plugins: args.plugin,
+  };
+
+  let entries;
+  try {
+    if (args.fix) {
+      fixComponents(
+        sourceConfigFiles ||
+          (monorepo
+            ? findComponentDirs(sourceRootDir, args.components).map(
+                (componentDir) => ({
+                  sourceRootDir: path.join(sourceRootDir, componentDir),
+                  fileType,
+                })
+              )
+            : [{ sourceRootDir, fileType }])
+      );
+    }
+    if (sourceConfigFiles) {
+      entries = await validateFiles(sourceConfigFiles, checkOptions);
+    } else if (monorepo) {
+      entries = await validateMonorepo(
+        sourceRootDir,
+        fileType,
+        args.components,
+        checkOptions
+      );
+    } else {
+      entries = await validateComponent(sourceRootDir, fileType, checkOptions);
+    }
+  } catch (error) {
+    console.error(error.message);
+    return exitCodes.VALIDATION_FAILED;
+  }
+
+  const report = reporter(entries);
+  if (args.output) {
+    try {
+      fs.writeFileSync(args.output, report);
+    } catch (error) {
+      console.error(
+        `Failed to write the report to ${args.output}: ${error.message}`
+      );
+      return exitCodes.VALIDATION_FAILED;
+    }
+  } else if (report) {
+    console.log(report);
+  }
+  return entries.every(({ result }) => result.valid)
+    ? exitCodes.SUCCESS
+    : exitCodes.VALIDATION_FAILED;
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((error) => {
+      console.error(error.message);
+      process.exitCode = exitCodes.VALIDATION_FAILED;
+    });
+}
+
+module.exports = {
+  run,
+  exitCodes,
+};
@@ -9,7 +9,67 @@ const errCodes = {
   INTERNAL_ERROR: "INTERNAL ERROR",
 };
 
+// validationRules - Rule IDs of the checks that are not defined as yup tests in schemas.js
+const validationRules = {
+  FILE_TYPE: "file-type",
+  DETECT_SOURCE_CONFIG: "detect-source-config",
+  READ_SOURCE_CONFIG: "read-source-config",
+  PARSE_YAML: "parse-yaml",
+  SCHEMA_VERSION: "schema-version",
+  OUTDATED_SOURCE_CONFIG: "outdated-source-config",
+  UNDECLARED_CONNECTION_REFERENCE: "undeclared-connection-reference",
+  UNUSED_CONNECTION_REFERENCE: "unused-connection-reference",
+  INVALID_CONNECTION_KEY: "invalid-connection-key",
+  INVALID_SCHEMA_FILE: "invalid-schema-file",
+  OPENAPI_BASE_PATH_MISMATCH: "openapi-base-path-mismatch",
+  SCHEMA_FILE_OUTSIDE_SOURCE_ROOT: "schema-file-outside-source-root",
+  PORT_CONFLICT: "port-conflict",
+  COMPONENT_PORT_COLLISION: "component-port-collision",
+  UNEXPOSED_ENDPOINT_PORT: "unexposed-endpoint-port",
+  UNUSED_EXPOSED_PORT: "unused-exposed-port",
+  MISSING_DOCKERFILE: "missing-dockerfile",
+  INVALID_VALIDATOR_CONFIG: "invalid-validator-config",
+  PLUGIN_ERROR: "plugin-error",
+  UNKNOWN_KEY: "unknown-key",
+};
+
+// connectionKeys - Keys that can be read from a connection, per kind of the referenced resource
+const connectionKeys = {
+  service: [
+    "ServiceURL",
+    "ChoreoAPIKey",
+    "ConsumerKey",
+    "ConsumerSecret",
+    "TokenURL",
+  ],
+  database: ["HostName", "Port", "Username", "Password", "DatabaseName"],
+  thirdparty: [
+    "ServiceURL",
+    "APIKey",
+    "ConsumerKey",
+    "ConsumerSecret",
+    "TokenURL",
+  ],
+};
+
+// severities - Severities of the diagnostics reported by the document level checks
+const severities = {
+  ERROR: "error",
+  WARNING: "warning",
+};
+
+// ruleLevels - Levels that a rule can be set to in the validator config, warn and error override its severity
+const ruleLevels = {
+  OFF: "off",
+  WARN: "warn",
+  ERROR: "error",
+};
+
 module.exports = {
   sourceConfigFileTypes,
   errCodes,
+  validationRules,
+  connectionKeys,
+  severities,
+  ruleLevels,
 };
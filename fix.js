@@ -0,0 +1,218 @@
+const fs = require("fs");
+const { isScalar, isSeq } = require("yaml");
+const {
+  detectSrcConfigFileType,
+  getSrcConfigFilePath,
+  readSrcConfigYaml,
+} = require("./validator");
+const { PROJECT_ONLY_TYPES, PROJECT_VISIBILITY } = require("./schemas");
+const { sourceConfigFileTypes } = require("./enums");
+const { toUniqueEndpointName } = require("./migrate");
+const { createSourceMap } = require("./source-map");
+const {
+  parseYamlDocument,
+  findPair,
+  replaceNode,
+  replaceScalar,
+  removeSeqItem,
+  applyEdits,
+} = require("./yaml-edits");
+
+// endpoint names of component.yaml, see endpointSchemaV0D2
+const ENDPOINT_NAME_REGEX = /^[a-z][a-z0-9_-]{0,49}$/;
+
+// getValue - Returns the value node at the given keys of a yaml node, or undefined when it is missing
+function getValue(node, ...keys) {
+  return keys.reduce((value, key) => findPair(value, key)?.value, node);
+}
+
+// isString - Checks whether a yaml node is a string scalar
+function isString(node) {
+  return isScalar(node) && typeof node.value === "string";
+}
+
+// fixSchemaVersion - Converts a numeric string schemaVersion such as "1.2" into a number
+function fixSchemaVersion(doc) {
+  const schemaVersionNode = getValue(doc.contents, "schemaVersion");
+  if (
+    !isString(schemaVersionNode) ||
+    !/^\d+(\.\d+)?$/.test(schemaVersionNode.value.trim())
+  ) {
+    return [];
+  }
+  return [
+    {
+      path: "schemaVersion",
+      message: `Converted the schemaVersion "${schemaVersionNode.value}" to a number`,
+      edits: [replaceNode(schemaVersionNode, schemaVersionNode.value.trim())],
+    },
+  ];
+}
+
+// fixBasePath - Adds the missing leading slash of a basePath or context
+function fixBasePath(node, path) {
+  if (!isString(node) || node.value.startsWith("/")) {
+    return [];
+  }
+  return [
+    {
+      path,
+      message: `Added a leading slash to ${node.value}`,
+      edits: [replaceScalar(node, `/${node.value}`)],
+    },
+  ];
+}
+
+// fixNetworkVisibilities - Sets the network visibilities of GRPC, TCP and UDP endpoints to Project and removes
+// duplicate network visibilities of other endpoints
+function fixNetworkVisibilities(content, seq, type, path) {
+  if (!isSeq(seq) || !seq.items.every(isString)) {
+    return [];
+  }
+  const visibilities = seq.items.map((item) => item.value);
+  if (PROJECT_ONLY_TYPES.includes(type)) {
+    if (visibilities.length === 1 && visibilities[0] === PROJECT_VISIBILITY) {
+      return [];
+    }
+    // an empty block sequence can not be written, so an empty sequence is always a flow sequence
+    const edits =
+      seq.items.length === 0
+        ? [replaceNode(seq, `[${PROJECT_VISIBILITY}]`)]
+        : seq.items.slice(1).map((_, i) => removeSeqItem(content, seq, i + 1));
+    if (visibilities.length > 0 && visibilities[0] !== PROJECT_VISIBILITY) {
+      edits.push(replaceScalar(seq.items[0], PROJECT_VISIBILITY));
+    }
+    return [
+      {
+        path,
+        message: `Set the network visibilities of the ${type} endpoint to ${PROJECT_VISIBILITY}`,
+        edits,
+      },
+    ];
+  }
+  return visibilities
+    .map((visibility, index) =>
+      visibilities.indexOf(visibility) === index
+        ? null
+        : {
+            path: `${path}[${index}]`,
+            message: `Removed the duplicate network visibility ${visibility}`,
+            edits: [removeSeqItem(content, seq, index)],
+          }
+    )
+    .filter(Boolean);
+}
+
+// fixEndpoints - Fixes the names, base paths and network visibilities of the endpoints of a component.yaml
+function fixEndpoints(doc, content) {
+  const endpoints = getValue(doc.contents, "endpoints");
+  if (!isSeq(endpoints)) {
+    return [];
+  }
+  const usedNames = new Set(
+    endpoints.items
+      .map((endpoint) => getValue(endpoint, "name"))
+      .filter(isString)
+      .map((nameNode) => nameNode.value)
+  );
+  return endpoints.items.flatMap((endpoint, index) => {
+    const path = `endpoints[${index}]`;
+    const fixes = [];
+    const nameNode = getValue(endpoint, "name");
+    if (isString(nameNode) && !ENDPOINT_NAME_REGEX.test(nameNode.value)) {
+      const name = toUniqueEndpointName(nameNode.value, usedNames);
+      fixes.push({
+        path: `${path}.name`,
+        message: `Renamed the endpoint ${nameNode.value} to ${name}`,
+        edits: [replaceScalar(nameNode, name)],
+      });
+    }
+    fixes.push(
+      ...fixBasePath(
+        getValue(endpoint, "service", "basePath"),
+        `${path}.service.basePath`
+      ),
+      ...fixNetworkVisibilities(
+        content,
+        getValue(endpoint, "networkVisibilities"),
+        getValue(endpoint, "type")?.value,
+        `${path}.networkVisibilities`
+      )
+    );
+    return fixes;
+  });
+}
+
+// fixContexts - Fixes the contexts of the endpoints of an endpoints.yaml or component-config.yaml
+function fixContexts(endpoints, endpointsPath) {
+  if (!isSeq(endpoints)) {
+    return [];
+  }
+  return endpoints.items.flatMap((endpoint, index) =>
+    fixBasePath(
+      getValue(endpoint, "context"),
+      `${endpointsPath}[${index}].context`
+    )
+  );
+}
+
+// fixers - Fixers of each source config file type. A fixer returns the { path, message, edits } of each violation
+// it corrects in the parsed document.
+const fixers = {
+  [sourceConfigFileTypes.COMPONENT_YAML]: [fixSchemaVersion, fixEndpoints],
+  [sourceConfigFileTypes.ENDPOINT_YAML]: [
+    (doc) => fixContexts(getValue(doc.contents, "endpoints"), "endpoints"),
+  ],
+  [sourceConfigFileTypes.COMPONENT_CONFIG_YAML]: [
+    (doc) =>
+      fixContexts(getValue(doc.contents, "spec", "inbound"), "spec.inbound"),
+  ],
+};
+
+// fixSrcConfigYaml - Corrects the mechanically fixable violations of a source config file. The content is edited
+// in place, so comments and formatting are kept. Each fix has the path, line and column of the corrected field.
+function fixSrcConfigYaml(content, fileType) {
+  const doc = parseYamlDocument(content);
+  const fixes = (fixers[fileType] || []).flatMap((fixer) =>
+    fixer(doc, content)
+  );
+  const getPosition = createSourceMap(content);
+  return {
+    content: applyEdits(
+      content,
+      fixes.flatMap((fix) => fix.edits)
+    ),
+    fixes: fixes.map(({ path, message }) => ({
+      path,
+      message,
+      ...getPosition(path),
+    })),
+  };
+}
+
+// fix - Corrects the mechanically fixable violations of the source config file of a component and writes it back.
+// Files that can not be read or parsed are left for the validation to report.
+function fix({ sourceRootDir = ".", fileType } = {}) {
+  let fixed;
+  try {
+    fileType = fileType || detectSrcConfigFileType(sourceRootDir);
+    fixed = fixSrcConfigYaml(
+      readSrcConfigYaml(sourceRootDir, fileType),
+      fileType
+    );
+  } catch (error) {
+    return { fileType: fileType || null, content: null, fixes: [] };
+  }
+  if (fixed.fixes.length > 0) {
+    fs.writeFileSync(
+      getSrcConfigFilePath(sourceRootDir, fileType),
+      fixed.content
+    );
+  }
+  return { fileType, ...fixed };
+}
+
+module.exports = {
+  fixSrcConfigYaml,
+  fix,
+};
@@ -1,156 +1,305 @@
 const core = require("@actions/core");
 const fs = require("fs");
-const yaml = require("js-yaml");
 const path = require("path");
+const { validate, getSrcConfigFilePath } = require("./validator");
+const { validateAll } = require("./monorepo");
+const { errCodes } = require("./enums");
 const {
-  componentYamlSchemaV1D2,
-  componentYamlSchemaV1D1,
-  componentYamlSchemaV1D0,
-  endpointYamlSchemaV0D1,
-  componentConfigYamlSchemaV1beta1,
-  LATEST_COMPONENT_YAML_SCHEMA_VERSION,
-} = require("./schemas");
-const { sourceConfigFileTypes, errCodes } = require("./enums");
+  createValidationReport,
+  createMonorepoValidationReport,
+  createErrorReport,
+} = require("./report");
+const { getReporter } = require("./reporters");
+const { parseRuleLevels } = require("./validator-config");
+const { getPullRequestChangedFiles } = require("./pull-request");
 
-function showOlderSrcConfigDetectedMessage(fileType, componentYamlVersion) {
-  if (
-    fileType === sourceConfigFileTypes.COMPONENT_CONFIG_YAML ||
-    fileType === sourceConfigFileTypes.ENDPOINT_YAML
-  ) {
-    core.warning(
-      `OUTDATED SOURCE CONFIG: You are using ${fileType}, which is an outdated source configuration file. Update to "component.yaml v${LATEST_COMPONENT_YAML_SCHEMA_VERSION}" to benefit from new features and improvements.`
-    );
-    return;
-  }
-  if (fileType === sourceConfigFileTypes.COMPONENT_YAML) {
-    parsedComponentYamlVersion = Number(componentYamlVersion);
-    if (parsedComponentYamlVersion < LATEST_COMPONENT_YAML_SCHEMA_VERSION) {
-      core.warning(
-        `OUTDATED SOURCE CONFIG: You are using component.yaml v${parsedComponentYamlVersion}, which is an outdated source configuration file. Update to "component.yaml v${LATEST_COMPONENT_YAML_SCHEMA_VERSION}" to benefit from new features and improvements.`
-      );
-      return;
-    }
+const VALIDATION_RESULT_OUTPUT = "validation-result";
+
+// readRulesInput - Reads the rule levels of the rules input, which take precedence over the .choreo/validator.yaml
+// file of each component
+function readRulesInput() {
+  const { rules, errors } = parseRuleLevels(
+    core.getInput("rules"),
+    "the rules input"
+  );
+  if (errors.length > 0) {
+    throw new Error(`${errCodes.USER_ERROR} ${errors.join(", ")}`);
   }
+  return rules;
 }
 
 function readInput() {
-  sourceRootDir = core.getInput("source-root-dir-path");
-  fileType = core.getInput("file-type");
-  return [sourceRootDir, fileType];
+  const sourceRootDir = core.getInput("source-root-dir-path");
+  // file-type is optional, the source config file is detected when it is not provided
+  const fileType = core.getInput("file-type") || undefined;
+  const componentPaths = core.getMultilineInput("component-paths");
+  // providing component path patterns implies monorepo mode
+  const monorepo =
+    core.getBooleanInput("monorepo") || componentPaths.length > 0;
+  const changedOnly = core.getBooleanInput("changed-only");
+  const githubToken = core.getInput("github-token");
+  const sarifFile = core.getInput("sarif-file");
+  // options of the optional checks
+  const checkOptions = {
+    strict: core.getBooleanInput("strict"),
+    checkPortCollisions: core.getBooleanInput("port-collisions"),
+    dockerfilePath: core.getInput("dockerfile-path") || undefined,
+    rules: readRulesInput(),
+    // plugin paths are relative to the source root directory, like the paths in .choreo/validator.yaml
+    plugins: core
+      .getMultilineInput("plugins")
+      .map((pluginPath) => path.resolve(sourceRootDir || ".", pluginPath)),
+  };
+  return {
+    sourceRootDir,
+    fileType,
+    monorepo,
+    componentPaths,
+    changedOnly,
+    githubToken,
+    sarifFile,
+    checkOptions,
+  };
 }
 
-function readSrcConfigYaml(filePath, fileType) {
+// readChangedFiles - Returns the absolute paths of the files changed by the pull request that triggered the
+// workflow, or undefined to validate every component when they are not known
+async function readChangedFiles(githubToken) {
+  let changedFiles;
   try {
-    let fullPath = path.join(filePath, ".choreo");
-    if (
-      fileType === sourceConfigFileTypes.COMPONENT_YAML ||
-      fileType === sourceConfigFileTypes.ENDPOINT_YAML ||
-      fileType === sourceConfigFileTypes.COMPONENT_CONFIG_YAML
-    ) {
-      fullPath = path.join(fullPath, fileType);
-    } else {
-      throw new Error(`'${fileType}' is not a valid source config file type`);
-    }
-
-    let fileContent = fs.readFileSync(fullPath, "utf8");
-    return fileContent;
+    changedFiles = await getPullRequestChangedFiles(githubToken);
   } catch (error) {
-    throw new Error(
-      `${errCodes.USER_ERROR} Failed to read source config file: ${error.message}`
+    core.warning(`${error.message}. Validating every component.`);
+    return undefined;
+  }
+  if (!changedFiles) {
+    core.info(
+      "The files changed by the pull request are not known, validating every component"
     );
+    return undefined;
   }
+  // the changed file paths are relative to the repository root, which is checked out in the workspace
+  const workspaceDir = process.env.GITHUB_WORKSPACE || process.cwd();
+  return changedFiles.map((changedFile) =>
+    path.resolve(workspaceDir, changedFile)
+  );
 }
 
-function parseYaml(fileContent) {
-  try {
-    return yaml.load(fileContent);
-  } catch (error) {
-    throw new Error(
-      `${errCodes.USER_ERROR} Failed to parse yaml: ${error.message}`
-    );
-  }
+// getWorkspaceFilePath - Returns the path of the source config file relative to the workspace, or the path of
+// the .choreo directory when the file type is not known
+function getWorkspaceFilePath(sourceRootDir, fileType) {
+  const workspaceDir = process.env.GITHUB_WORKSPACE || process.cwd();
+  return path
+    .relative(
+      workspaceDir,
+      path.resolve(getSrcConfigFilePath(sourceRootDir, fileType))
+    )
+    .split(path.sep)
+    .join("/");
 }
 
-function constructValidationErrorMessage(err, fileType) {
-  const errors = err.errors;
-  if (!errors || errors.length == 0) {
-    return (
-      `${errCodes.INTERNAL_ERROR} Failed to validate ${fileType}, something went wrong:` +
-      err
-    );
+// toAnnotationProperties - Returns the annotation properties pointing at the position of an error or warning
+// in the source config file. File paths are relative to the workspace so that they show up in the PR diff.
+function toAnnotationProperties(issue, result, sourceRootDir) {
+  if (!result.fileType) {
+    return { title: issue.rule };
   }
-  const errorMsg = `${errCodes.USER_ERROR} ${fileType} validation failed: `;
-  const errorList =
-    errors.length === 1 ? errors[0] : errors.map((e) => `\n- ${e}`).join("");
-  return errorMsg + errorList;
+  const properties = {
+    title: `${result.fileType}: ${issue.rule}`,
+    file: getWorkspaceFilePath(sourceRootDir, result.fileType),
+  };
+  if (issue.line) {
+    properties.startLine = issue.line;
+    properties.startColumn = issue.column;
+  }
+  return properties;
+}
+
+// reportResult - Emits the warnings and errors of a validation result as annotations and returns whether it is valid
+function reportResult(result, sourceRootDir) {
+  // Need to show a warning message if the source config file is outdated
+  result.warnings.forEach((warning) =>
+    core.warning(
+      warning.message,
+      toAnnotationProperties(warning, result, sourceRootDir)
+    )
+  );
+  result.errors.forEach((error) =>
+    core.error(
+      error.message,
+      toAnnotationProperties(error, result, sourceRootDir)
+    )
+  );
+  result.suppressions.forEach((suppression) =>
+    core.info(
+      `Suppressed ${suppression.severity} ${suppression.rule} by the comment on line ${suppression.commentLine}: ${suppression.message}`
+    )
+  );
+  return result.valid;
+}
+
+// writeSarifReport - Writes the SARIF report of the given { sourceRootDir, result } entries to the given file
+function writeSarifReport(sarifFile, entries) {
+  const sarifReport = getReporter("sarif")(
+    entries.map(({ sourceRootDir, result }) => ({
+      filePath: getWorkspaceFilePath(sourceRootDir, result.fileType),
+      result,
+    }))
+  );
+  fs.mkdirSync(path.dirname(path.resolve(sarifFile)), { recursive: true });
+  fs.writeFileSync(sarifFile, sarifReport);
+  core.info(`SARIF report written to ${sarifFile}`);
 }
 
-async function validateComponentYaml(sourceRootDir, schemaVersion) {
-  parsedSchemaVersion = Number(schemaVersion);
-  switch (parsedSchemaVersion) {
-    case 1.0:
-      await componentYamlSchemaV1D0(sourceRootDir).validate(srcConfigYamlFile, {
-        abortEarly: false,
-      });
-      break;
-    case 1.1:
-      await componentYamlSchemaV1D1(sourceRootDir).validate(srcConfigYamlFile, {
-        abortEarly: false,
-      });
-      break;
-    case 1.2:
-      await componentYamlSchemaV1D2(sourceRootDir).validate(srcConfigYamlFile, {
-        abortEarly: false,
-      });
-      break;
-    default:
-      throw new Error(
-        `SchemaVersion must be one of the following values: 1.0, 1.1`
-      );
+async function validateComponent(
+  sourceRootDir,
+  fileType,
+  sarifFile,
+  { strict, dockerfilePath, rules, plugins }
+) {
+  const result = await validate({
+    sourceRootDir,
+    fileType,
+    strict,
+    dockerfilePath,
+    rules,
+    plugins,
+  });
+  if (result.fileType && !fileType) {
+    core.info(`Detected source config file: ${result.fileType}`);
   }
+  core.setOutput(
+    VALIDATION_RESULT_OUTPUT,
+    JSON.stringify(createValidationReport(result))
+  );
+  if (sarifFile) {
+    writeSarifReport(sarifFile, [{ sourceRootDir, result }]);
+  }
+  return reportResult(result, sourceRootDir);
 }
 
-async function validateSourceConfigFile(sourceRootDir, fileType) {
-  try {
-    // Need to show a warning message if the source config file is outdated
-    showOlderSrcConfigDetectedMessage(
-      fileType,
-      srcConfigYamlFile.schemaVersion || null
+async function validateMonorepo(
+  sourceRootDir,
+  fileType,
+  componentPaths,
+  changedFiles,
+  sarifFile,
+  { strict, checkPortCollisions, dockerfilePath, rules, plugins }
+) {
+  const monorepoResult = await validateAll({
+    rootDir: sourceRootDir || ".",
+    patterns: componentPaths,
+    changedFiles,
+    fileType,
+    strict,
+    checkPortCollisions,
+    dockerfilePath,
+    rules,
+    plugins,
+  });
+  const { valid, components, unchangedComponentDirs, summary } = monorepoResult;
+  core.setOutput(
+    VALIDATION_RESULT_OUTPUT,
+    JSON.stringify(createMonorepoValidationReport(monorepoResult))
+  );
+  if (sarifFile) {
+    writeSarifReport(
+      sarifFile,
+      components.map((component) => ({
+        sourceRootDir: path.join(sourceRootDir || ".", component.componentDir),
+        result: component,
+      }))
     );
-    switch (fileType) {
-      case sourceConfigFileTypes.COMPONENT_YAML:
-        const schemaVersion = srcConfigYamlFile.schemaVersion;
-        await validateComponentYaml(sourceRootDir, schemaVersion);
-        break;
-      case sourceConfigFileTypes.COMPONENT_CONFIG_YAML:
-        await componentConfigYamlSchemaV1beta1(sourceRootDir).validate(
-          srcConfigYamlFile,
-          { abortEarly: false }
-        );
-        break;
-      case sourceConfigFileTypes.ENDPOINT_YAML:
-        await endpointYamlSchemaV0D1(sourceRootDir).validate(
-          srcConfigYamlFile,
-          { abortEarly: false }
-        );
-        break;
-      default:
-        throw new Error(`'${fileType}' is not a valid source config file type`);
-    }
-    // Validate the component YAML file
-  } catch (err) {
-    throw new Error(constructValidationErrorMessage(err, fileType));
   }
+  if (unchangedComponentDirs.length > 0) {
+    core.info(
+      `Skipped the components that are not affected by the pull request: ${unchangedComponentDirs.join(
+        ", "
+      )}`
+    );
+  }
+  if (components.length === 0 && unchangedComponentDirs.length === 0) {
+    console.log(
+      `${errCodes.USER_ERROR} No components with a .choreo directory found in ${
+        sourceRootDir || "."
+      }`
+    );
+    return false;
+  }
+  for (const component of components) {
+    core.startGroup(
+      `${component.valid ? "✅" : "❌"} ${component.componentDir} (${
+        component.fileType || "unknown"
+      })`
+    );
+    reportResult(
+      component,
+      path.join(sourceRootDir || ".", component.componentDir)
+    );
+    core.endGroup();
+  }
+  core.info(
+    `${summary.passed} of ${summary.total} components passed source config validation`
+  );
+  // the job summary is only available when running in GitHub Actions
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    await core.summary
+      .addHeading("Choreo source config validation")
+      .addTable([
+        [
+          { data: "Component", header: true },
+          { data: "File", header: true },
+          { data: "Result", header: true },
+          { data: "Errors", header: true },
+        ],
+        ...components.map((component) => [
+          component.componentDir,
+          component.fileType || "-",
+          component.valid ? "✅ Passed" : "❌ Failed",
+          String(component.errors.length),
+        ]),
+      ])
+      .write();
+  }
+  return valid;
 }
 
 async function main() {
   try {
-    const [sourceRootDir, fileType] = readInput();
-    const fileContent = readSrcConfigYaml(sourceRootDir, fileType);
-    srcConfigYamlFile = parseYaml(fileContent);
-    await validateSourceConfigFile(sourceRootDir, fileType);
+    const {
+      sourceRootDir,
+      fileType,
+      monorepo,
+      componentPaths,
+      changedOnly,
+      githubToken,
+      sarifFile,
+      checkOptions,
+    } = readInput();
+    const valid = monorepo
+      ? await validateMonorepo(
+          sourceRootDir,
+          fileType,
+          componentPaths,
+          changedOnly ? await readChangedFiles(githubToken) : undefined,
+          sarifFile,
+          checkOptions
+        )
+      : await validateComponent(
+          sourceRootDir,
+          fileType,
+          sarifFile,
+          checkOptions
+        );
+    if (!valid) {
+      core.setFailed("Source config file validation failed");
+    }
   } catch (error) {
     console.log(error.message);
+    core.setOutput(
+      VALIDATION_RESULT_OUTPUT,
+      JSON.stringify(createErrorReport(error))
+    );
     core.setFailed("Source config file validation failed");
   }
 }
@@ -0,0 +1,146 @@
+const {
+  componentYamlSchemaV1D2,
+  componentYamlSchemaV1D1,
+  componentYamlSchemaV1D0,
+  endpointYamlSchemaV0D1,
+  componentConfigYamlSchemaV1beta1,
+} = require("./schemas");
+
+const JSON_SCHEMA_DRAFT = "http://json-schema.org/draft-07/schema#";
+const JSON_SCHEMA_BASE_URL =
+  "https://raw.githubusercontent.com/choreo-templates/choreo-source-config-validator/main/json-schemas";
+
+// the source root directory only matters for the schema-file-exists test, which has no JSON Schema equivalent
+const JSON_SCHEMA_SRC_DIR = ".";
+
+// jsonSchemaDefinitions - The published JSON Schema documents, one per source config file version
+const jsonSchemaDefinitions = [
+  {
+    fileName: "component-yaml-v1.2.json",
+    title: "Choreo component.yaml v1.2",
+    schema: componentYamlSchemaV1D2,
+  },
+  {
+    fileName: "component-yaml-v1.1.json",
+    title: "Choreo component.yaml v1.1",
+    schema: componentYamlSchemaV1D1,
+  },
+  {
+    fileName: "component-yaml-v1.0.json",
+    title: "Choreo component.yaml v1.0",
+    schema: componentYamlSchemaV1D0,
+  },
+  {
+    fileName: "endpoints-yaml-v0.1.json",
+    title: "Choreo endpoints.yaml v0.1",
+    schema: endpointYamlSchemaV0D1,
+  },
+  {
+    fileName: "component-config-yaml-v1beta1.json",
+    title: "Choreo component-config.yaml core.choreo.dev/v1beta1",
+    schema: componentConfigYamlSchemaV1beta1,
+  },
+];
+
+// applyTests - Maps the built-in yup tests of a schema description to JSON Schema keywords. Custom tests
+// such as context-required have no JSON Schema equivalent and are only enforced by the validator.
+function applyTests(jsonSchema, description) {
+  for (const { name, params } of description.tests) {
+    if (!params) {
+      continue;
+    }
+    switch (name) {
+      case "matches":
+        jsonSchema.pattern = params.regex.source;
+        break;
+      case "uuid":
+        jsonSchema.format = "uuid";
+        break;
+      case "min":
+        if (params.more !== undefined) {
+          jsonSchema.exclusiveMinimum = params.more;
+        } else if (description.type === "string") {
+          jsonSchema.minLength = params.min;
+        } else if (description.type === "array") {
+          jsonSchema.minItems = params.min;
+        } else {
+          jsonSchema.minimum = params.min;
+        }
+        break;
+      case "max":
+        if (params.less !== undefined) {
+          jsonSchema.exclusiveMaximum = params.less;
+        } else if (description.type === "string") {
+          jsonSchema.maxLength = params.max;
+        } else if (description.type === "array") {
+          jsonSchema.maxItems = params.max;
+        } else {
+          jsonSchema.maximum = params.max;
+        }
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+// toJsonSchema - Converts the description of a yup schema, as returned by schema.describe(), into a JSON Schema
+function toJsonSchema(description) {
+  const jsonSchema = {};
+  if (description.meta && description.meta.description) {
+    jsonSchema.description = description.meta.description;
+  }
+  if (description.type !== "mixed") {
+    jsonSchema.type = description.nullable
+      ? [description.type, "null"]
+      : description.type;
+  }
+  const allowedValues = description.oneOf.filter(
+    (value) => value !== undefined
+  );
+  if (allowedValues.length > 0) {
+    jsonSchema.enum = description.nullable
+      ? [...allowedValues, null]
+      : allowedValues;
+  }
+  applyTests(jsonSchema, description);
+
+  if (description.type === "object" && description.fields) {
+    jsonSchema.properties = {};
+    const required = [];
+    for (const [fieldName, fieldDescription] of Object.entries(
+      description.fields
+    )) {
+      jsonSchema.properties[fieldName] = toJsonSchema(fieldDescription);
+      if (!fieldDescription.optional) {
+        required.push(fieldName);
+      }
+    }
+    if (required.length > 0) {
+      jsonSchema.required = required;
+    }
+  }
+  if (description.type === "array" && description.innerType) {
+    jsonSchema.items = toJsonSchema(description.innerType);
+  }
+  return jsonSchema;
+}
+
+// createJsonSchemas - Creates the JSON Schema documents of every source config file version, keyed by file name
+function createJsonSchemas() {
+  const jsonSchemas = {};
+  for (const { fileName, title, schema } of jsonSchemaDefinitions) {
+    jsonSchemas[fileName] = {
+      $schema: JSON_SCHEMA_DRAFT,
+      $id: `${JSON_SCHEMA_BASE_URL}/${fileName}`,
+      title,
+      ...toJsonSchema(schema(JSON_SCHEMA_SRC_DIR).describe()),
+    };
+  }
+  return jsonSchemas;
+}
+
+module.exports = {
+  toJsonSchema,
+  createJsonSchemas,
+};
@@ -0,0 +1,169 @@
+const fs = require("fs");
+const { stringify } = require("yaml");
+const {
+  validate,
+  detectSrcConfigFileType,
+  getSrcConfigFilePath,
+  readSrcConfigYaml,
+  parseYaml,
+} = require("./validator");
+const {
+  LATEST_COMPONENT_YAML_SCHEMA_VERSION,
+  PROJECT_ONLY_TYPES,
+  PROJECT_VISIBILITY,
+} = require("./schemas");
+const { sourceConfigFileTypes, errCodes } = require("./enums");
+
+// component.yaml endpoint names are limited to 50 characters
+const MAX_ENDPOINT_NAME_LENGTH = 50;
+
+// toEndpointName - Converts a legacy endpoint name such as "Greeting Service" into a valid component.yaml
+// endpoint name such as "greeting-service"
+function toEndpointName(name) {
+  const endpointName = String(name ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, "-")
+    .replace(/^[^a-z]+/, "")
+    .slice(0, MAX_ENDPOINT_NAME_LENGTH)
+    .replace(/[-_]+$/, "");
+  return endpointName || "endpoint";
+}
+
+// toUniqueEndpointName - Converts a legacy endpoint name into a valid component.yaml endpoint name that is not
+// in usedNames, and adds it to usedNames, as endpoint names must be unique in component.yaml
+function toUniqueEndpointName(name, usedNames) {
+  let endpointName = toEndpointName(name);
+  for (let suffix = 2; usedNames.has(endpointName); suffix++) {
+    endpointName = `${toEndpointName(name).slice(
+      0,
+      MAX_ENDPOINT_NAME_LENGTH - String(suffix).length - 1
+    )}-${suffix}`;
+  }
+  usedNames.add(endpointName);
+  return endpointName;
+}
+
+// migrateEndpoint - Converts an endpoints.yaml or component-config.yaml endpoint into a component.yaml endpoint
+function migrateEndpoint(endpoint, usedNames) {
+  const name = toUniqueEndpointName(endpoint.name, usedNames);
+  const migratedEndpoint = { name };
+  if (endpoint.name !== undefined && String(endpoint.name) !== name) {
+    migratedEndpoint.displayName = String(endpoint.name).slice(
+      0,
+      MAX_ENDPOINT_NAME_LENGTH
+    );
+  }
+  migratedEndpoint.service = {};
+  if (endpoint.context !== undefined) {
+    migratedEndpoint.service.basePath = endpoint.context;
+  }
+  migratedEndpoint.service.port = endpoint.port;
+  migratedEndpoint.type = endpoint.type;
+  if (endpoint.networkVisibility !== undefined) {
+    migratedEndpoint.networkVisibilities = [endpoint.networkVisibility];
+  } else if (PROJECT_ONLY_TYPES.includes(endpoint.type)) {
+    // these endpoints were implicitly project visible, component.yaml requires it to be explicit
+    migratedEndpoint.networkVisibilities = [PROJECT_VISIBILITY];
+  }
+  if (endpoint.schemaFilePath !== undefined) {
+    migratedEndpoint.schemaFilePath = endpoint.schemaFilePath;
+  }
+  return migratedEndpoint;
+}
+
+// createComponentYaml - Converts a parsed endpoints.yaml or component-config.yaml into a component.yaml
+// document of the latest schema version
+function createComponentYaml(fileType, srcConfigYamlFile) {
+  let endpoints;
+  let serviceReferences;
+  switch (fileType) {
+    case sourceConfigFileTypes.ENDPOINT_YAML:
+      endpoints = srcConfigYamlFile.endpoints;
+      break;
+    case sourceConfigFileTypes.COMPONENT_CONFIG_YAML:
+      endpoints = srcConfigYamlFile.spec?.inbound;
+      serviceReferences = srcConfigYamlFile.spec?.outbound?.serviceReferences;
+      break;
+    default:
+      throw new Error(
+        `${errCodes.USER_ERROR} Only ${sourceConfigFileTypes.ENDPOINT_YAML} and ${sourceConfigFileTypes.COMPONENT_CONFIG_YAML} can be migrated to ${sourceConfigFileTypes.COMPONENT_YAML}`
+      );
+  }
+
+  const componentYaml = { schemaVersion: LATEST_COMPONENT_YAML_SCHEMA_VERSION };
+  if (Array.isArray(endpoints) && endpoints.length > 0) {
+    const usedNames = new Set();
+    componentYaml.endpoints = endpoints.map((endpoint) =>
+      migrateEndpoint(endpoint ?? {}, usedNames)
+    );
+  }
+  if (Array.isArray(serviceReferences) && serviceReferences.length > 0) {
+    componentYaml.dependencies = { serviceReferences };
+  }
+  return componentYaml;
+}
+
+// migrate - Migrates the endpoints.yaml or component-config.yaml of a component to component.yaml and
+// validates the result. Unless dryRun is set, a valid component.yaml is written to the .choreo directory and
+// the migrated file is removed, so that the component has a single source config file. An existing
+// component.yaml is only overwritten with force.
+async function migrate({
+  sourceRootDir = ".",
+  fileType,
+  dryRun = false,
+  force = false,
+} = {}) {
+  if (!fileType) {
+    try {
+      fileType = detectSrcConfigFileType(sourceRootDir);
+    } catch (error) {
+      throw new Error(`${errCodes.USER_ERROR} ${error.message}`);
+    }
+  }
+  if (fileType === sourceConfigFileTypes.COMPONENT_YAML) {
+    throw new Error(
+      `${errCodes.USER_ERROR} ${getSrcConfigFilePath(
+        sourceRootDir,
+        fileType
+      )} is already a ${sourceConfigFileTypes.COMPONENT_YAML}, there is nothing to migrate`
+    );
+  }
+
+  const componentYamlPath = getSrcConfigFilePath(
+    sourceRootDir,
+    sourceConfigFileTypes.COMPONENT_YAML
+  );
+  if (!dryRun && !force && fs.existsSync(componentYamlPath)) {
+    throw new Error(
+      `${errCodes.USER_ERROR} ${componentYamlPath} already exists. Remove it, or use --force to overwrite it with the migrated ${fileType}`
+    );
+  }
+
+  let srcConfigYamlFile;
+  try {
+    srcConfigYamlFile = parseYaml(readSrcConfigYaml(sourceRootDir, fileType));
+  } catch (error) {
+    throw new Error(`${errCodes.USER_ERROR} ${error.message}`);
+  }
+  const content = stringify(createComponentYaml(fileType, srcConfigYamlFile));
+  const result = await validate({
+    sourceRootDir,
+    fileType: sourceConfigFileTypes.COMPONENT_YAML,
+    content,
+  });
+
+  const written = !dryRun && result.valid;
+  if (written) {
+    // the migrated file is only removed once component.yaml is written, writeFileSync throws otherwise
+    fs.writeFileSync(componentYamlPath, content);
+    fs.unlinkSync(getSrcConfigFilePath(sourceRootDir, fileType));
+  }
+  return { fileType, content, result, written };
+}
+
+module.exports = {
+  toEndpointName,
+  toUniqueEndpointName,
+  createComponentYaml,
+  migrate,
+};
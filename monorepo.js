@@ -0,0 +1,261 @@
+const fs = require("fs");
+const path = require("path");
+const { minimatch } = require("minimatch");
+const {
+  validate,
+  detectSrcConfigFileType,
+  readSrcConfigYaml,
+  parseYaml,
+  createIssue,
+} = require("./validator");
+const { validationRules } = require("./enums");
+const { createSourceMap } = require("./source-map");
+const { getEndpoints } = require("./checks/endpoints");
+const { readValidatorConfig, applyRuleConfig } = require("./validator-config");
+const { resolveSchemaFilePath, isInside } = require("./schema-file-path");
+
+// directories that never contain components and are expensive to scan
+const IGNORED_DIRS = ["node_modules", ".git"];
+
+// findComponentDirs - Scans the repository for directories that contain a .choreo directory and returns
+// their paths relative to the repository root. When patterns are given, only matching directories are returned.
+function findComponentDirs(rootDir, patterns = []) {
+  const componentDirs = [];
+  const scanDir = (relativeDir) => {
+    const entries = fs.readdirSync(path.join(rootDir, relativeDir), {
+      withFileTypes: true,
+    });
+    for (const entry of entries) {
+      // symlinked directories are not followed to avoid scanning outside the repository
+      if (!entry.isDirectory() || IGNORED_DIRS.includes(entry.name)) {
+        continue;
+      }
+      if (entry.name === ".choreo") {
+        componentDirs.push(relativeDir || ".");
+        continue;
+      }
+      scanDir(path.posix.join(relativeDir, entry.name));
+    }
+  };
+  scanDir("");
+
+  const matchedDirs =
+    patterns.length === 0
+      ? componentDirs
+      : componentDirs.filter((componentDir) =>
+          patterns.some((pattern) =>
+            minimatch(componentDir, pattern.replace(/^\.\/|\/$/g, ""), {
+              dot: true,
+            })
+          )
+        );
+  return matchedDirs.sort();
+}
+
+// getSchemaFilePaths - Returns the absolute paths of the schema files referenced by the endpoints of a component.
+// A component whose source config file cannot be read references none, validate reports why.
+function getSchemaFilePaths(sourceRootDir, fileType) {
+  try {
+    const srcConfigFileType =
+      fileType || detectSrcConfigFileType(sourceRootDir);
+    const srcConfigYamlFile = parseYaml(
+      readSrcConfigYaml(sourceRootDir, srcConfigFileType)
+    );
+    return getEndpoints(srcConfigYamlFile, srcConfigFileType)
+      .filter(
+        ({ schemaFilePath }) =>
+          typeof schemaFilePath === "string" && schemaFilePath
+      )
+      .map(
+        ({ schemaFilePath }) =>
+          resolveSchemaFilePath(sourceRootDir, schemaFilePath).filePath
+      )
+      .filter(Boolean);
+  } catch (error) {
+    return [];
+  }
+}
+
+// findChangedComponentDirs - Returns the component directories affected by the changed files, which are relative
+// to the working directory or absolute. A changed file affects the component of its nearest .choreo directory,
+// i.e. the deepest component directory that contains it, and every component that references it as the schema
+// file of an endpoint.
+function findChangedComponentDirs(
+  rootDir,
+  componentDirs,
+  changedFiles,
+  fileType
+) {
+  const changedPaths = new Set(
+    changedFiles.map((changedFile) => path.resolve(changedFile))
+  );
+  const changedComponentDirs = new Set();
+  for (const changedPath of changedPaths) {
+    const nearestComponentDir = componentDirs
+      .filter((componentDir) =>
+        isInside(path.resolve(rootDir, componentDir), changedPath)
+      )
+      .sort(
+        (a, b) =>
+          path.resolve(rootDir, b).length - path.resolve(rootDir, a).length
+      )[0];
+    if (nearestComponentDir) {
+      changedComponentDirs.add(nearestComponentDir);
+    }
+  }
+  return componentDirs.filter(
+    (componentDir) =>
+      changedComponentDirs.has(componentDir) ||
+      getSchemaFilePaths(path.join(rootDir, componentDir), fileType).some(
+        (schemaFilePath) => changedPaths.has(schemaFilePath)
+      )
+  );
+}
+
+// addPortCollisionWarnings - Warns about ports that are used by the endpoints of more than one component of the
+// repository, which usually belong to the same project. Each affected component gets a warning for every endpoint
+// on a colliding port, to which the rule levels and suppression comments of the component are applied. Components
+// whose source config file cannot be read are skipped, their errors are already part of their validation result.
+function addPortCollisionWarnings(rootDir, components, rules) {
+  const usagesByPort = new Map();
+  const fileContents = new Map();
+  for (const component of components) {
+    if (!component.fileType) {
+      continue;
+    }
+    let fileContent;
+    let srcConfigYamlFile;
+    try {
+      fileContent = readSrcConfigYaml(
+        path.join(rootDir, component.componentDir),
+        component.fileType
+      );
+      srcConfigYamlFile = parseYaml(fileContent);
+    } catch (error) {
+      continue;
+    }
+    fileContents.set(component, fileContent);
+    const getPosition = createSourceMap(fileContent);
+    for (const endpoint of getEndpoints(
+      srcConfigYamlFile,
+      component.fileType
+    )) {
+      if (endpoint.port === null) {
+        continue;
+      }
+      usagesByPort.set(endpoint.port, [
+        ...(usagesByPort.get(endpoint.port) || []),
+        { component, endpoint, getPosition },
+      ]);
+    }
+  }
+  for (const [port, usages] of usagesByPort) {
+    for (const { component, endpoint, getPosition } of usages) {
+      const others = usages.filter((usage) => usage.component !== component);
+      if (others.length === 0) {
+        continue;
+      }
+      component.warnings.push(
+        createIssue(
+          validationRules.COMPONENT_PORT_COLLISION,
+          `${endpoint.portPath} ${port} is also used by ${others
+            .map(
+              (other) =>
+                `the ${other.endpoint.type} endpoint ${other.endpoint.path} of the component ${other.component.componentDir}`
+            )
+            .join(", ")}`,
+          { path: endpoint.portPath, ...getPosition(endpoint.portPath) }
+        )
+      );
+    }
+  }
+  for (const [component, fileContent] of fileContents) {
+    const validatorConfig = readValidatorConfig(
+      path.join(rootDir, component.componentDir)
+    );
+    applyRuleConfig(
+      component,
+      { ...validatorConfig.rules, ...rules },
+      fileContent
+    );
+  }
+}
+
+// validateAll - Validates every component found in the repository and aggregates the results. With
+// checkPortCollisions, ports shared by the endpoints of different components are reported as warnings. The
+// dockerfilePath is relative to the directory of each component, and the rules, plugins and strict mode apply to
+// every component. When changedFiles is given, only the components affected by them are validated, and the others
+// are listed in unchangedComponentDirs.
+async function validateAll({
+  rootDir = ".",
+  patterns = [],
+  fileType,
+  checkPortCollisions = false,
+  dockerfilePath,
+  rules = {},
+  plugins = [],
+  strict = false,
+  changedFiles,
+} = {}) {
+  const componentDirs = findComponentDirs(rootDir, patterns);
+  const validatedComponentDirs = changedFiles
+    ? findChangedComponentDirs(rootDir, componentDirs, changedFiles, fileType)
+    : componentDirs;
+  const unchangedComponentDirs = componentDirs.filter(
+    (componentDir) => !validatedComponentDirs.includes(componentDir)
+  );
+  const components = [];
+  for (const componentDir of validatedComponentDirs) {
+    const result = await validate({
+      sourceRootDir: path.join(rootDir, componentDir),
+      fileType,
+      dockerfilePath,
+      rules,
+      plugins,
+      strict,
+    });
+    components.push({ componentDir, ...result });
+  }
+  if (checkPortCollisions) {
+    // the ports of the unchanged components are compared too, only the warnings of the validated ones are kept
+    const unchangedComponents = unchangedComponentDirs.map((componentDir) => {
+      let unchangedFileType = fileType;
+      try {
+        unchangedFileType ||= detectSrcConfigFileType(
+          path.join(rootDir, componentDir)
+        );
+      } catch (error) {
+        unchangedFileType = null;
+      }
+      return {
+        componentDir,
+        fileType: unchangedFileType,
+        errors: [],
+        warnings: [],
+        suppressions: [],
+      };
+    });
+    addPortCollisionWarnings(
+      rootDir,
+      [...components, ...unchangedComponents],
+      rules
+    );
+  }
+  const passed = components.filter((component) => component.valid).length;
+  return {
+    valid: componentDirs.length > 0 && passed === components.length,
+    components,
+    unchangedComponentDirs,
+    summary: {
+      total: components.length,
+      passed,
+      failed: components.length - passed,
+    },
+  };
+}
+
+module.exports = {
+  findComponentDirs,
+  findChangedComponentDirs,
+  validateAll,
+};
@@ -0,0 +1,80 @@
+const path = require("path");
+const { severities } = require("./enums");
+
+// toDiagnostics - Checks the value returned by a plugin and converts it into { path, message, rule, severity }
+// diagnostics. The severity defaults to error, and the path to null for file level diagnostics.
+function toDiagnostics(value) {
+  if (!Array.isArray(value)) {
+    throw new Error("It must return a list of diagnostics");
+  }
+  const validSeverities = Object.values(severities);
+  return value.map((diagnostic, index) => {
+    if (
+      !diagnostic ||
+      typeof diagnostic.rule !== "string" ||
+      !diagnostic.rule ||
+      typeof diagnostic.message !== "string"
+    ) {
+      throw new Error(
+        `The diagnostic at index ${index} must have a rule and a message`
+      );
+    }
+    if (
+      diagnostic.severity !== undefined &&
+      !validSeverities.includes(diagnostic.severity)
+    ) {
+      throw new Error(
+        `The severity of the diagnostic at index ${index} must be one of the following values: ${validSeverities.join(
+          ", "
+        )}`
+      );
+    }
+    return {
+      path: typeof diagnostic.path === "string" ? diagnostic.path : null,
+      message: diagnostic.message,
+      rule: diagnostic.rule,
+      severity: diagnostic.severity || severities.ERROR,
+    };
+  });
+}
+
+// runPlugins - Runs the plugins at the given module paths on a parsed source config file. Like the document checks,
+// a plugin is a module exporting a function that receives the parsed file and a
+// { fileType, schemaVersion, sourceRootDir } context, and returns a list of diagnostics, or a promise of one. Each
+// plugin receives its own copy of the file, so that it cannot change what the other checks see. Returns the
+// diagnostics of the plugins along with the error messages of the plugins that failed to load or run.
+async function runPlugins(pluginPaths, srcConfigYamlFile, context) {
+  const diagnostics = [];
+  const errors = [];
+  for (const pluginPath of pluginPaths) {
+    const pluginName = path
+      .relative(path.resolve(context.sourceRootDir), pluginPath)
+      .split(path.sep)
+      .join("/");
+    let plugin;
+    try {
+      plugin = require(pluginPath);
+    } catch (error) {
+      errors.push(`Failed to load the plugin ${pluginName}: ${error.message}`);
+      continue;
+    }
+    if (typeof plugin !== "function") {
+      errors.push(`The plugin ${pluginName} must export a function`);
+      continue;
+    }
+    try {
+      diagnostics.push(
+        ...toDiagnostics(
+          await plugin(structuredClone(srcConfigYamlFile), { ...context })
+        )
+      );
+    } catch (error) {
+      errors.push(`The plugin ${pluginName} failed: ${error.message}`);
+    }
+  }
+  return { diagnostics, errors };
+}
+
+module.exports = {
+  runPlugins,
+};
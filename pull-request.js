@@ -0,0 +1,74 @@
+const github = require("@actions/github");
+const { execFileSync } = require("child_process");
+
+// listFilesWithApi - Lists the files changed by a pull request with the GitHub API. Renamed files are listed under
+// their old and new paths. Returns null when the pull request has more files than the API lists.
+async function listFilesWithApi(token, pullRequest) {
+  const octokit = github.getOctokit(token);
+  const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
+    ...github.context.repo,
+    pull_number: pullRequest.number,
+    per_page: 100,
+  });
+  if (files.length < pullRequest.changed_files) {
+    return null;
+  }
+  return files.flatMap((file) =>
+    file.previous_filename
+      ? [file.filename, file.previous_filename]
+      : [file.filename]
+  );
+}
+
+// listFilesWithGit - Lists the files changed by a pull request with a git diff between its base and head commits,
+// which must both be in the local clone
+function listFilesWithGit(pullRequest) {
+  try {
+    return execFileSync(
+      "git",
+      [
+        "diff",
+        "--name-only",
+        "--no-renames",
+        `${pullRequest.base.sha}...${pullRequest.head.sha}`,
+      ],
+      { encoding: "utf8", stdio: ["ignore", "pipe", "pipe"] }
+    )
+      .split("\n")
+      .filter(Boolean);
+  } catch (error) {
+    throw new Error(
+      `Failed to list the files changed by the pull request with git diff, check out the repository with fetch-depth: 0: ${error.message}`
+    );
+  }
+}
+
+// getPullRequestChangedFiles - Returns the paths of the files changed by the pull request that triggered the
+// workflow, relative to the repository root. They are listed with the GitHub API when a token is given, and with
+// git otherwise or when the API request fails, e.g. for a token without the pull-requests: read permission.
+// Returns null when the workflow was not triggered by a pull request, or when the changed files cannot all be
+// listed.
+async function getPullRequestChangedFiles(token) {
+  const pullRequest = github.context.payload.pull_request;
+  if (!pullRequest) {
+    return null;
+  }
+  if (!token) {
+    return listFilesWithGit(pullRequest);
+  }
+  try {
+    return await listFilesWithApi(token, pullRequest);
+  } catch (apiError) {
+    try {
+      return listFilesWithGit(pullRequest);
+    } catch (gitError) {
+      throw new Error(
+        `Failed to list the files changed by the pull request with the GitHub API, grant the github-token the pull-requests: read permission: ${apiError.message}. ${gitError.message}`
+      );
+    }
+  }
+}
+
+module.exports = {
+  getPullRequestChangedFiles,
+};
@@ -0,0 +1,44 @@
+const reportStatus = {
+  PASSED: "passed",
+  FAILED: "failed",
+  ERROR: "error",
+};
+
+// createValidationReport - Creates the machine-readable report of a validation result
+function createValidationReport(result) {
+  return {
+    status: result.valid ? reportStatus.PASSED : reportStatus.FAILED,
+    fileType: result.fileType,
+    schemaVersion: result.schemaVersion,
+    errors: result.errors,
+    warnings: result.warnings,
+    suppressions: result.suppressions,
+  };
+}
+
+// createMonorepoValidationReport - Creates the machine-readable report of the aggregated results of a monorepo
+function createMonorepoValidationReport({ valid, components, summary }) {
+  return {
+    status: valid ? reportStatus.PASSED : reportStatus.FAILED,
+    summary,
+    components: components.map((component) => ({
+      componentDir: component.componentDir,
+      ...createValidationReport(component),
+    })),
+  };
+}
+
+// createErrorReport - Creates the machine-readable report of an unexpected error that stopped the validation
+function createErrorReport(error) {
+  return {
+    status: reportStatus.ERROR,
+    message: error.message,
+  };
+}
+
+module.exports = {
+  reportStatus,
+  createValidationReport,
+  createMonorepoValidationReport,
+  createErrorReport,
+};
@@ -0,0 +1,38 @@
+const { severities } = require("../enums");
+
+// formatLocation - Returns the file:line:column prefix of an issue, editors and terminals link it to the file
+function formatLocation(filePath, issue) {
+  return issue.line ? `${filePath}:${issue.line}:${issue.column}` : filePath;
+}
+
+// compactReporter - Formats the validation results as one line per error and warning, for pre-commit hooks and
+// lint-staged. Valid files without warnings print nothing.
+function compactReporter(entries) {
+  const lines = [];
+  let errorCount = 0;
+  let warningCount = 0;
+  for (const { filePath, result } of entries) {
+    const issues = [
+      ...result.errors.map((issue) => [issue, severities.ERROR]),
+      ...result.warnings.map((issue) => [issue, severities.WARNING]),
+    ].sort(([a], [b]) => (a.line || 0) - (b.line || 0));
+    for (const [issue, severity] of issues) {
+      lines.push(
+        `${formatLocation(filePath, issue)}: ${severity} ${issue.message} (${
+          issue.rule
+        })`
+      );
+    }
+    errorCount += result.errors.length;
+    warningCount += result.warnings.length;
+  }
+  if (errorCount + warningCount > 0) {
+    lines.push(
+      "",
+      `${errorCount + warningCount} problems (${errorCount} errors, ${warningCount} warnings)`
+    );
+  }
+  return lines.join("\n");
+}
+
+module.exports = compactReporter;
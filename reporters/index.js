@@ -0,0 +1,33 @@
+const textReporter = require("./text");
+const jsonReporter = require("./json");
+const junitReporter = require("./junit");
+const sarifReporter = require("./sarif");
+const compactReporter = require("./compact");
+
+// reporters - Reporters format a list of { filePath, result } entries, where result is returned by validate,
+// into a string
+const reporters = {
+  text: textReporter,
+  json: jsonReporter,
+  junit: junitReporter,
+  sarif: sarifReporter,
+  compact: compactReporter,
+};
+
+// getReporter - Returns the reporter of the given format
+function getReporter(format) {
+  const reporter = reporters[format];
+  if (!reporter) {
+    throw new Error(
+      `'${format}' is not a valid report format. Use one of: ${Object.keys(
+        reporters
+      ).join(", ")}`
+    );
+  }
+  return reporter;
+}
+
+module.exports = {
+  reporters,
+  getReporter,
+};
@@ -0,0 +1,25 @@
+const { reportStatus, createValidationReport } = require("../report");
+
+// jsonReporter - Formats the validation results as a JSON document with a report per source config file
+function jsonReporter(entries) {
+  const passed = entries.filter(({ result }) => result.valid).length;
+  return JSON.stringify(
+    {
+      status:
+        passed === entries.length ? reportStatus.PASSED : reportStatus.FAILED,
+      summary: {
+        total: entries.length,
+        passed,
+        failed: entries.length - passed,
+      },
+      files: entries.map(({ filePath, result }) => ({
+        filePath,
+        ...createValidationReport(result),
+      })),
+    },
+    null,
+    2
+  );
+}
+
+module.exports = jsonReporter;
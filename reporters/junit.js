@@ -0,0 +1,76 @@
+const { formatIssue } = require("../validator");
+
+const TEST_SUITES_NAME = "choreo-source-config-validator";
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function toTestCases(filePath, result) {
+  const classname = escapeXml(filePath);
+  // a valid file is reported as a single passing test case
+  if (result.valid) {
+    return [
+      `    <testcase classname="${classname}" name="${escapeXml(
+        `${result.fileType} is valid`
+      )}"/>`,
+    ];
+  }
+  return result.errors.map((error) => {
+    const name = error.path ? `${error.path} (${error.rule})` : error.rule;
+    return [
+      `    <testcase classname="${classname}" name="${escapeXml(name)}">`,
+      `      <failure type="${escapeXml(error.rule)}" message="${escapeXml(
+        error.message
+      )}">${escapeXml(formatIssue(error))}</failure>`,
+      "    </testcase>",
+    ].join("\n");
+  });
+}
+
+// junitReporter - Formats the validation results as JUnit XML, with a test suite per source config file and a
+// failed test case per rule violation
+function junitReporter(entries) {
+  let totalTests = 0;
+  let totalFailures = 0;
+  const testSuites = entries.map(({ filePath, result }) => {
+    const testCases = toTestCases(filePath, result);
+    const failures = result.valid ? 0 : testCases.length;
+    totalTests += testCases.length;
+    totalFailures += failures;
+    const lines = [
+      `  <testsuite name="${escapeXml(filePath)}" tests="${
+        testCases.length
+      }" failures="${failures}" errors="0" skipped="0">`,
+      ...testCases,
+    ];
+    // warnings and suppressed issues do not fail the build, they are only printed
+    const output = [
+      ...result.warnings.map((warning) => `warning: ${formatIssue(warning)}`),
+      ...result.suppressions.map(
+        (suppression) =>
+          `suppressed ${suppression.severity}: ${formatIssue(suppression)}`
+      ),
+    ];
+    if (output.length > 0) {
+      lines.push(
+        `    <system-out>${escapeXml(output.join("\n"))}</system-out>`
+      );
+    }
+    lines.push("  </testsuite>");
+    return lines.join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TEST_SUITES_NAME}" tests="${totalTests}" failures="${totalFailures}" errors="0">`,
+    ...testSuites,
+    "</testsuites>",
+  ].join("\n");
+}
+
+module.exports = junitReporter;
@@ -0,0 +1,8 @@
+const { createSarifReport } = require("../sarif");
+
+// sarifReporter - Formats the validation results as a SARIF 2.1.0 log
+function sarifReporter(entries) {
+  return JSON.stringify(createSarifReport(entries), null, 2);
+}
+
+module.exports = sarifReporter;
@@ -0,0 +1,54 @@
+const {
+  constructValidationErrorMessage,
+  formatIssue,
+} = require("../validator");
+
+const indent = (text) =>
+  text
+    .split("\n")
+    .map((line) => `  ${line}`)
+    .join("\n");
+
+// textReporter - Formats the validation results as human-readable text
+function textReporter(entries) {
+  const lines = [];
+  for (const { filePath, result } of entries) {
+    lines.push(`${result.valid ? "✔" : "✖"} ${filePath}`);
+    result.warnings.forEach((warning) =>
+      lines.push(indent(`warning: ${formatIssue(warning)}`))
+    );
+    result.suppressions.forEach((suppression) =>
+      lines.push(
+        indent(
+          `suppressed ${suppression.severity} (${
+            suppression.rule
+          }, comment on line ${suppression.commentLine}): ${formatIssue(
+            suppression
+          )}`
+        )
+      )
+    );
+    if (!result.valid) {
+      lines.push(
+        indent(
+          constructValidationErrorMessage(
+            result.errors,
+            result.fileType || "source config file"
+          )
+        )
+      );
+    }
+  }
+  if (entries.length > 1) {
+    const passed = entries.filter(({ result }) => result.valid).length;
+    lines.push(
+      "",
+      `${passed} of ${entries.length} source config files passed, ${
+        entries.length - passed
+      } failed`
+    );
+  }
+  return lines.join("\n");
+}
+
+module.exports = textReporter;
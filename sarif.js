@@ -0,0 +1,165 @@
+const { version } = require("./package.json");
+const { validationRules } = require("./enums");
+
+const SARIF_VERSION = "2.1.0";
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const TOOL_NAME = "choreo-source-config-validator";
+const TOOL_INFORMATION_URI =
+  "https://github.com/choreo-templates/choreo-source-config-validator";
+
+// ruleDescriptions - Descriptions of the custom rules reported in the SARIF report. Built-in yup rules such as
+// required or matches fall back to a generic description.
+const ruleDescriptions = {
+  "unique-endpoint-name": "Endpoint names must be unique",
+  "unique-env-variable-name": "Environment variable names must be unique",
+  "context-required":
+    "REST, GraphQL and WS endpoints must define a context or base path",
+  "schema-file-exists":
+    "The schema file referenced by an endpoint must exist in the source code",
+  "validate-service-name":
+    "Service reference names must follow the choreo, thirdparty or database identifier format",
+  "validate-resource-ref":
+    "Connection reference resourceRefs must follow the service, thirdparty or database identifier format",
+  "project-visibility-only":
+    "GRPC, TCP and UDP endpoints can only have Project network visibility",
+  oneOfRequired:
+    "Environment variables must define a value or a valueFrom reference",
+  [validationRules.FILE_TYPE]: "The source config file type must be supported",
+  [validationRules.DETECT_SOURCE_CONFIG]:
+    "Exactly one source config file must exist in the .choreo directory",
+  [validationRules.READ_SOURCE_CONFIG]:
+    "The source config file must be readable",
+  [validationRules.PARSE_YAML]: "The source config file must be valid YAML",
+  [validationRules.SCHEMA_VERSION]:
+    "The component.yaml schemaVersion must be supported",
+  [validationRules.OUTDATED_SOURCE_CONFIG]:
+    "The source config file should use the latest component.yaml schema version",
+  [validationRules.UNDECLARED_CONNECTION_REFERENCE]:
+    "Environment variables must refer to connection references declared in dependencies.connectionReferences",
+  [validationRules.UNUSED_CONNECTION_REFERENCE]:
+    "Declared connection references should be used by an environment variable",
+  [validationRules.INVALID_CONNECTION_KEY]:
+    "Connection keys must be valid for the kind of the referenced resource",
+  [validationRules.INVALID_SCHEMA_FILE]:
+    "The schema file of an endpoint must be a valid schema of the endpoint type",
+  [validationRules.OPENAPI_BASE_PATH_MISMATCH]:
+    "The base path of a REST endpoint should match the base path declared in its OpenAPI document",
+  [validationRules.SCHEMA_FILE_OUTSIDE_SOURCE_ROOT]:
+    "The schema file of an endpoint must be inside the source root directory",
+  [validationRules.PORT_CONFLICT]:
+    "Endpoints that share a port must serve the same protocol",
+  [validationRules.COMPONENT_PORT_COLLISION]:
+    "Components of the same repository should not use the same ports",
+  [validationRules.UNEXPOSED_ENDPOINT_PORT]:
+    "The port of an endpoint should be exposed by the Dockerfile of the component",
+  [validationRules.UNUSED_EXPOSED_PORT]:
+    "The ports exposed by the Dockerfile of a component should be used by an endpoint",
+  [validationRules.MISSING_DOCKERFILE]:
+    "The Dockerfile given to cross-check the endpoint ports against should exist",
+  [validationRules.INVALID_VALIDATOR_CONFIG]:
+    "The .choreo/validator.yaml file and the rules input must set rule IDs to off, warn or error",
+  [validationRules.PLUGIN_ERROR]:
+    "The plugins listed in the validator config must load and return valid diagnostics",
+  [validationRules.UNKNOWN_KEY]:
+    "In strict mode, the source config file must only contain the keys defined by its schema version",
+};
+
+function toSarifRule(ruleId) {
+  return {
+    id: ruleId,
+    name: ruleId,
+    shortDescription: {
+      text:
+        ruleDescriptions[ruleId] ||
+        `The source config file must satisfy the ${ruleId} schema rule`,
+    },
+    helpUri: TOOL_INFORMATION_URI,
+  };
+}
+
+function toSarifResult(issue, level, filePath, ruleIndex) {
+  const sarifResult = {
+    ruleId: issue.rule,
+    ruleIndex,
+    level,
+    message: { text: issue.message },
+    locations: [
+      {
+        physicalLocation: {
+          artifactLocation: { uri: filePath, uriBaseId: "%SRCROOT%" },
+          // code scanning requires a region, file level issues are reported on the first line
+          region: {
+            startLine: issue.line || 1,
+            startColumn: issue.column || 1,
+          },
+        },
+      },
+    ],
+  };
+  // issues suppressed by a comment are kept, so that code scanning lists them as dismissed
+  if (issue.commentLine) {
+    sarifResult.suppressions = [
+      {
+        kind: "inSource",
+        justification: `Suppressed by the comment on line ${issue.commentLine}`,
+      },
+    ];
+  }
+  return sarifResult;
+}
+
+// createSarifReport - Creates a SARIF 2.1.0 log of the given validation results. Each entry holds the validation
+// result and the path of its source config file relative to the repository root.
+function createSarifReport(entries) {
+  const rules = [];
+  const ruleIndexes = new Map();
+  const getRuleIndex = (ruleId) => {
+    if (!ruleIndexes.has(ruleId)) {
+      ruleIndexes.set(ruleId, rules.length);
+      rules.push(toSarifRule(ruleId));
+    }
+    return ruleIndexes.get(ruleId);
+  };
+
+  const results = [];
+  for (const { filePath, result } of entries) {
+    const issues = [
+      ...result.errors.map((issue) => [issue, "error"]),
+      ...result.warnings.map((issue) => [issue, "warning"]),
+      ...result.suppressions.map((issue) => [issue, issue.severity]),
+    ];
+    for (const [issue, level] of issues) {
+      const ruleId = issue.rule || "schema";
+      results.push(
+        toSarifResult(
+          { ...issue, rule: ruleId },
+          level,
+          filePath,
+          getRuleIndex(ruleId)
+        )
+      );
+    }
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            version,
+            informationUri: TOOL_INFORMATION_URI,
+            rules,
+          },
+        },
+        results,
+      },
+    ],
+  };
+}
+
+module.exports = {
+  createSarifReport,
+};
@@ -0,0 +1,52 @@
+const fs = require("fs");
+const path = require("path");
+
+// resolveSchemaFilePath - Resolves the schemaFilePath of an endpoint against the source root directory. Returns
+// { filePath } when it stays inside the source root directory, otherwise { error } with the reason. Symbolic links
+// are followed, so that a link inside the source root cannot expose a file outside of it. A file that does not
+// exist is not an error here, as it cannot escape the source root.
+function resolveSchemaFilePath(sourceRootDir, schemaFilePath) {
+  // absolute paths of both platforms are rejected, the source code may be checked on another platform
+  if (
+    path.posix.isAbsolute(schemaFilePath) ||
+    path.win32.isAbsolute(schemaFilePath)
+  ) {
+    return {
+      error: `Schema file path ${schemaFilePath} must be relative to the source root directory, e.g. openapi.yaml or specs/openapi.yaml.`,
+    };
+  }
+  const rootDir = path.resolve(sourceRootDir);
+  const filePath = path.resolve(rootDir, schemaFilePath);
+  if (!isInside(rootDir, filePath)) {
+    return {
+      error: `Schema file path ${schemaFilePath} points outside the source root directory. Move the schema file into the source code and use a path without "..".`,
+    };
+  }
+  let realFilePath;
+  try {
+    realFilePath = fs.realpathSync(filePath);
+  } catch (error) {
+    return { filePath };
+  }
+  if (!isInside(fs.realpathSync(rootDir), realFilePath)) {
+    return {
+      error: `Schema file path ${schemaFilePath} is a symbolic link to ${realFilePath}, which is outside the source root directory. Replace the link with a copy of the schema file.`,
+    };
+  }
+  return { filePath };
+}
+
+// isInside - Checks whether a path is the given directory or inside it
+function isInside(dir, filePath) {
+  const relativePath = path.relative(dir, filePath);
+  return (
+    relativePath !== ".." &&
+    !relativePath.startsWith(`..${path.sep}`) &&
+    !path.isAbsolute(relativePath)
+  );
+}
+
+module.exports = {
+  resolveSchemaFilePath,
+  isInside,
+};
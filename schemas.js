@@ -1,7 +1,7 @@
 const yup = require("yup");
-const github = require("@actions/github");
 const fs = require("fs");
-const path = require("path");
+const { validationRules } = require("./enums");
+const { resolveSchemaFilePath } = require("./schema-file-path");
 
 // constants
 const ALLOWED_TYPES = ["REST", "GraphQL", "GRPC", "TCP", "UDP", "WS"];
@@ -18,7 +18,7 @@ const LATEST_COMPONENT_YAML_SCHEMA_VERSION = 1.2;
 yup.addMethod(yup.array, "checkEndpointNameUniqueness", function () {
   return this.test({
     name: "unique-endpoint-name",
-    test: (arr) => {
+    test: (arr, testCtx) => {
       // the endpoints section is optional, hence return true if it is not present
       if (!arr) {
         return true;
@@ -33,7 +33,8 @@ yup.addMethod(yup.array, "checkEndpointNameUniqueness", function () {
         return true;
       });
       return (
-        isUnique || new yup.ValidationError("Endpoint names must be unique")
+        isUnique ||
+        testCtx.createError({ message: "Endpoint names must be unique" })
       );
     },
   });
@@ -43,7 +44,7 @@ yup.addMethod(yup.array, "checkEndpointNameUniqueness", function () {
 yup.addMethod(yup.array, "checkEnvVariableUniqueness", function () {
   return this.test({
     name: "unique-env-variable-name",
-    test: (arr) => {
+    test: (arr, testCtx) => {
       // the env section is optional, hence return true if it is not present
       if (!arr) {
         return true;
@@ -59,7 +60,9 @@ yup.addMethod(yup.array, "checkEnvVariableUniqueness", function () {
       });
       return (
         isUnique ||
-        new yup.ValidationError("Environment variable names must be unique")
+        testCtx.createError({
+          message: "Environment variable names must be unique",
+        })
       );
     },
   });
@@ -72,9 +75,9 @@ yup.addMethod(yup.string, "contextRequired", function () {
     test: (value, testCtx) => {
       const { type } = testCtx.parent;
       if (BASE_PATH_REQUIRED_TYPES.includes(type) && !value) {
-        return new yup.ValidationError(
-          `${testCtx.path} is required for ${type}-type endpoints`
-        );
+        return testCtx.createError({
+          message: `${testCtx.path} is required for ${type}-type endpoints`,
+        });
       }
       return true;
     },
@@ -85,25 +88,30 @@ yup.addMethod(yup.string, "contextRequired", function () {
 yup.addMethod(yup.string, "schemaFileExists", function (srcDir) {
   return this.test({
     name: "schema-file-exists",
-    test: (value) => {
+    test: (value, testCtx) => {
       // schema file path is optional, hence return true if it is not present
       if (!value) {
         return true;
       }
-      schemaFilePath = path.join(srcDir, value);
+      const { filePath, error } = resolveSchemaFilePath(srcDir, value);
+      if (error) {
+        return testCtx.createError({
+          message: error,
+          type: validationRules.SCHEMA_FILE_OUTSIDE_SOURCE_ROOT,
+        });
+      }
       try {
-        const hasFile = fs.existsSync(schemaFilePath);
+        const hasFile = fs.existsSync(filePath);
         return (
           hasFile ||
-          new yup.ValidationError(
-            `Schema file does not exist at the given path ${value}.`
-          )
+          testCtx.createError({
+            message: `Schema file does not exist at the given path ${value}.`,
+          })
         );
       } catch (error) {
-        new yup.ValidationError(
-          "Failed to check if schema file exists:",
-          error.message
-        );
+        return testCtx.createError({
+          message: `Failed to check if schema file exists: ${error.message}`,
+        });
       }
     },
   });
@@ -127,35 +135,38 @@ yup.addMethod(yup.string, "validateServiceName", function () {
       if (value.startsWith("choreo:///")) {
         return (
           choreoSvcRefNameRegex.test(value) ||
-          new yup.ValidationError(
-            `${testCtx.path} has an invalid service identifier. ` +
-              `Use the format choreo:///<org-handle>/<project-handle>/<component-handle>/<endpoint-identifier>/<major-version>/<network-visibility>`
-          )
+          testCtx.createError({
+            message:
+              `${testCtx.path} has an invalid service identifier. ` +
+              `Use the format choreo:///<org-handle>/<project-handle>/<component-handle>/<endpoint-identifier>/<major-version>/<network-visibility>`,
+          })
         );
       }
       if (value.startsWith("thirdparty:")) {
         return (
           thirdPartySvcRefNameRegex.test(value) ||
-          new yup.ValidationError(
-            `${testCtx.path} has an invalid service identifier. ` +
+          testCtx.createError({
+            message:
+              `${testCtx.path} has an invalid service identifier. ` +
               `Use the format thirdparty:<service_name>/<version>, ` +
-              `allowing only alphanumeric characters, periods (.), underscores (_), hyphens (-), and slashes (/) after thirdparty:.`
-          )
+              `allowing only alphanumeric characters, periods (.), underscores (_), hyphens (-), and slashes (/) after thirdparty:.`,
+          })
         );
       }
       if (value.startsWith("database:")) {
         return (
           dbSvcRefNameRegex.test(value) ||
-          new yup.ValidationError(
-            `${testCtx.path} has an invalid service identifier. ` +
+          testCtx.createError({
+            message:
+              `${testCtx.path} has an invalid service identifier. ` +
               `Use the format database:[<serverName>/]<databaseName> where optional fields are in brackets, ` +
-              `allowing only alphanumeric characters, underscores (_), hyphens (-), and slashes (/) after database:.`
-          )
+              `allowing only alphanumeric characters, underscores (_), hyphens (-), and slashes (/) after database:.`,
+          })
         );
       }
-      return new yup.ValidationError(
-        `${testCtx.path} has an invalid service identifier. It can only contain choreo, thirdparty, or database types.`
-      );
+      return testCtx.createError({
+        message: `${testCtx.path} has an invalid service identifier. It can only contain choreo, thirdparty, or database types.`,
+      });
     },
   });
 });
@@ -177,42 +188,46 @@ yup.addMethod(yup.string, "validateResourceRef", function () {
       if (value.startsWith("service:")) {
         return (
           svcRefNameRegex.test(value) ||
-          new yup.ValidationError(
-            `${testCtx.path} has an invalid service identifier. ` +
-              `Use the format [service:][/<project-handle>/]<component-handle>/<major-version>[/<endpoint-handle>][/<network-visibility>] where optional fields are specified in brackets.`
-          )
+          testCtx.createError({
+            message:
+              `${testCtx.path} has an invalid service identifier. ` +
+              `Use the format [service:][/<project-handle>/]<component-handle>/<major-version>[/<endpoint-handle>][/<network-visibility>] where optional fields are specified in brackets.`,
+          })
         )
       }
       if (value.startsWith("thirdparty:")) {
         return (
           thirdPartySvcRefNameRegex.test(value) ||
-          new yup.ValidationError(
-            `${testCtx.path} has an invalid service identifier. ` +
+          testCtx.createError({
+            message:
+              `${testCtx.path} has an invalid service identifier. ` +
               `Use the format thirdparty:<service_name>/<version>, ` +
-              `allowing only alphanumeric characters, periods (.), underscores (_), hyphens (-), and slashes (/) after thirdparty:.`
-          )
+              `allowing only alphanumeric characters, periods (.), underscores (_), hyphens (-), and slashes (/) after thirdparty:.`,
+          })
         );
       }
       if (value.startsWith("database:")) {
         return (
           dbSvcRefNameRegex.test(value) ||
-          new yup.ValidationError(
-            `${testCtx.path} has an invalid service identifier. ` +
+          testCtx.createError({
+            message:
+              `${testCtx.path} has an invalid service identifier. ` +
               `Use the format database:[<serverName>/]<databaseName> where optional fields are in brackets, ` +
-              `allowing only alphanumeric characters, underscores (_), hyphens (-), and slashes (/) after database:.`
-          )
+              `allowing only alphanumeric characters, underscores (_), hyphens (-), and slashes (/) after database:.`,
+          })
         );
       }
       return (
         // since "service:" is optional, we need to validate again with a generic error
         svcRefNameRegex.test(value) ||
-        new yup.ValidationError(
-          `${testCtx.path} has an invalid service identifier. ` +
+        testCtx.createError({
+          message:
+            `${testCtx.path} has an invalid service identifier. ` +
             `For services, use [service:][/<project-handle>/]<component-handle>/<major-version>[/<endpoint-handle>][/<network-visibility>]. ` +
             `For databases, use database:[<serverName>/]<databaseName>. ` +
             `For third-party services, use thirdparty:<service_name>/<version>. ` +
-            `Optional fields are specified in brackets.`
-        )
+            `Optional fields are specified in brackets.`,
+        })
       );
     },
   });
@@ -230,9 +245,9 @@ yup.addMethod(yup.array, "projectVisibilityOnly", function () {
       if (isTypeProjectOnly && !isVisibilityProjectOnly) {
         // Extract "endpoints[x]" from "endpoints[x].networkVisibilities"
         erroredEndpoint = testCtx.path.split(".")[0] || "endpoint";
-        return new yup.ValidationError(
-          `The ${erroredEndpoint} is a type ${type} endpoint and can only have networkVisibility set to ${PROJECT_VISIBILITY}`
-        );
+        return testCtx.createError({
+          message: `The ${erroredEndpoint} is a type ${type} endpoint and can only have networkVisibility set to ${PROJECT_VISIBILITY}`,
+        });
       }
       return true;
     },
@@ -251,19 +266,38 @@ const serviceSchema = yup
         /^\/[a-zA-Z0-9\/\-_]*$/,
         ({ path }) =>
           `${path} must start with a forward slash and can only contain alphanumeric characters, hyphens, underscores and forward slashes.`
-      ),
-    port: yup.number().required().moreThan(1000).lessThan(65535),
+      )
+      .meta({ description: "Base path of the API exposed by the endpoint" }),
+    port: yup
+      .number()
+      .required()
+      .moreThan(1000)
+      .lessThan(65535)
+      .meta({ description: "Port on which the service listens" }),
   })
-  .required();
+  .required()
+  .meta({ description: "Service exposed by the endpoint" });
 
 // endpointSchemaV0D1 - Schema for endpoint definition V0.1
 const endpointSchemaV0D1 = (srcDir) =>
   yup.array().of(
     yup.object().shape({
-      name: yup.string().required(),
-      port: yup.number().required().moreThan(1000).lessThan(65535),
-      type: yup.string().required().oneOf(ALLOWED_TYPES),
-      networkVisibility: yup.string().oneOf(ALLOWED_NETWORK_VISIBILITIES),
+      name: yup.string().required().meta({ description: "Name of the endpoint" }),
+      port: yup
+        .number()
+        .required()
+        .moreThan(1000)
+        .lessThan(65535)
+        .meta({ description: "Port on which the service listens" }),
+      type: yup
+        .string()
+        .required()
+        .oneOf(ALLOWED_TYPES)
+        .meta({ description: "Type of the traffic the endpoint accepts" }),
+      networkVisibility: yup
+        .string()
+        .oneOf(ALLOWED_NETWORK_VISIBILITIES)
+        .meta({ description: "Network level visibility of the endpoint" }),
       context: yup
         .string()
         .contextRequired()
@@ -271,8 +305,15 @@ const endpointSchemaV0D1 = (srcDir) =>
           /^\/[a-zA-Z0-9\/\-_]*$/,
           ({ path }) =>
             `${path} must start with a forward slash and can only contain alphanumeric characters, hyphens, and forward slashes.`
-        ),
-      schemaFilePath: yup.string().schemaFileExists(srcDir),
+        )
+        .meta({
+          description:
+            "Context (base path) of the API, required for REST, GraphQL and WS endpoints",
+        }),
+      schemaFilePath: yup.string().schemaFileExists(srcDir).meta({
+        description:
+          "Path of the API schema file, relative to the source root directory",
+      }),
     })
   );
 
@@ -290,24 +331,47 @@ const endpointSchemaV0D2 = (srcDir) =>
             /^[a-z][a-z0-9_-]*$/,
             ({ path }) =>
               `${path} must start with a lowercase letter and can only contain lowercase letters, numbers, underscores (_), and hyphens (-).`
-          ),
-        displayName: yup.string().max(50),
+          )
+          .meta({ description: "Unique name of the endpoint" }),
+        displayName: yup
+          .string()
+          .max(50)
+          .meta({ description: "Display name of the endpoint" }),
         service: serviceSchema,
-        type: yup.string().required().oneOf(ALLOWED_TYPES),
+        type: yup
+          .string()
+          .required()
+          .oneOf(ALLOWED_TYPES)
+          .meta({ description: "Type of the traffic the endpoint accepts" }),
         networkVisibilities: yup
           .array()
           .of(yup.string().oneOf(ALLOWED_NETWORK_VISIBILITIES))
-          .projectVisibilityOnly(),
-        schemaFilePath: yup.string().schemaFileExists(srcDir),
+          .projectVisibilityOnly()
+          .meta({
+            description:
+              "Network level visibilities of the endpoint. GRPC, TCP and UDP endpoints can only be Project visible",
+          }),
+        schemaFilePath: yup.string().schemaFileExists(srcDir).meta({
+          description:
+            "Path of the API schema file, relative to the source root directory",
+        }),
       })
     )
-    .checkEndpointNameUniqueness();
+    .checkEndpointNameUniqueness()
+    .meta({ description: "Endpoints exposed by the component" });
 
 // serviceReferencesSchema - Schema for service references
 const serviceReferencesSchema = yup.array().of(
   yup.object().shape({
-    name: yup.string().required().validateServiceName(),
-    connectionConfig: yup.string().uuid().required(),
+    name: yup.string().required().validateServiceName().meta({
+      description:
+        "Service identifier in the choreo:///, thirdparty: or database: format",
+    }),
+    connectionConfig: yup
+      .string()
+      .uuid()
+      .required()
+      .meta({ description: "ID of the connection configuration" }),
     env: yup
       .array()
       .of(
@@ -328,20 +392,34 @@ const connectionReferencesSchema = yup.array().of(
       ({ path }) =>
         `${path} can only contain letters, numbers, with non-consecutive delimiters: underscores (_), hyphens (-), dots (.), or spaces.`
     ),
-    resourceRef: yup.string().required().validateResourceRef(),
+    resourceRef: yup.string().required().validateResourceRef().meta({
+      description:
+        "Reference to the connected resource in the service:, thirdparty: or database: format",
+    }),
   })
 );
 
 // dependencySchemaV0D1 - Schema for dependency definition V0.1
-const dependencySchemaV0D1 = yup.object().shape({
-  serviceReferences: serviceReferencesSchema,
-});
+const dependencySchemaV0D1 = yup
+  .object()
+  .shape({
+    serviceReferences: serviceReferencesSchema,
+  })
+  .meta({ description: "Dependencies of the component" });
 
 // dependencySchemaV0D2 - Schema for dependency definition V0.2
-const dependencySchemaV0D2 = yup.object().shape({
-  serviceReferences: serviceReferencesSchema,
-  connectionReferences: connectionReferencesSchema,
-});
+const dependencySchemaV0D2 = yup
+  .object()
+  .shape({
+    serviceReferences: serviceReferencesSchema.meta({
+      description:
+        "Service references of the component, replaced by connectionReferences",
+    }),
+    connectionReferences: connectionReferencesSchema.meta({
+      description: "Connections to services, databases and third party services",
+    }),
+  })
+  .meta({ description: "Dependencies of the component" });
 
 const connectionRefSchema = yup.object().shape({
   name: yup.string().required(),
@@ -401,20 +479,36 @@ const envVariableSchemaV0D2 = yup.object().shape({
 );
 
 // configurationSchemaV0D1 - Schema for configuration definition V0.1
-const configurationSchemaV0D1 = yup.object().shape({
-  env: yup.array().of(envVariableSchemaV0D1).checkEnvVariableUniqueness(),
-});
+const configurationSchemaV0D1 = yup
+  .object()
+  .shape({
+    env: yup
+      .array()
+      .of(envVariableSchemaV0D1)
+      .checkEnvVariableUniqueness()
+      .meta({ description: "Environment variables of the component" }),
+  })
+  .meta({ description: "Configurations of the component" });
 
 // configurationSchemaV1D2 - Schema for configuration definition V1.2
-const configurationSchemaV0D2 = yup.object().shape({
-  env: yup.array().of(envVariableSchemaV0D2).checkEnvVariableUniqueness(),
-});
+const configurationSchemaV0D2 = yup
+  .object()
+  .shape({
+    env: yup
+      .array()
+      .of(envVariableSchemaV0D2)
+      .checkEnvVariableUniqueness()
+      .meta({ description: "Environment variables of the component" }),
+  })
+  .meta({ description: "Configurations of the component" });
 
 
 // specSchema - Schema for spec definition
 const specSchema = (srcDir) =>
   yup.object().shape({
-    inbound: endpointSchemaV0D1(srcDir).min(0),
+    inbound: endpointSchemaV0D1(srcDir)
+      .min(0)
+      .meta({ description: "Endpoints exposed by the component" }),
     outbound: dependencySchemaV0D1,
   });
 
@@ -424,7 +518,8 @@ const componentYamlSchemaV1D0 = (srcDir) =>
     schemaVersion: yup
       .number()
       .required()
-      .oneOf([1.0], "Schema version must be 1.0"),
+      .oneOf([1.0], "Schema version must be 1.0")
+      .meta({ description: "Version of the component.yaml schema" }),
     endpoints: endpointSchemaV0D2(srcDir),
     dependencies: dependencySchemaV0D1,
   });
@@ -435,10 +530,13 @@ const componentYamlSchemaV1D1 = (srcDir) =>
     schemaVersion: yup
       .number()
       .required()
-      .oneOf([1.1], "Schema version must be 1.1"),
+      .oneOf([1.1], "Schema version must be 1.1")
+      .meta({ description: "Version of the component.yaml schema" }),
     endpoints: endpointSchemaV0D2(srcDir),
     dependencies: dependencySchemaV0D2,
-    configuration: configurationSchemaV0D1,
+    configuration: configurationSchemaV0D1.meta({
+      description: "Deprecated, use configurations instead",
+    }),
     configurations: configurationSchemaV0D1,
   });
 
@@ -448,18 +546,27 @@ const componentYamlSchemaV1D2 = (srcDir) =>
     schemaVersion: yup
       .number()
       .required()
-      .oneOf([1.2], "Schema version must be 1.2"),
+      .oneOf([1.2], "Schema version must be 1.2")
+      .meta({ description: "Version of the component.yaml schema" }),
     endpoints: endpointSchemaV0D2(srcDir),
     dependencies: dependencySchemaV0D2,
-    configuration: configurationSchemaV0D2,
+    configuration: configurationSchemaV0D2.meta({
+      description: "Deprecated, use configurations instead",
+    }),
     configurations: configurationSchemaV0D2,
   });
 
 // endpointYamlSchema - Schema for endpoints.yaml
 const endpointYamlSchemaV0D1 = (srcDir) =>
   yup.object().shape({
-    version: yup.string().required(),
-    endpoints: endpointSchemaV0D1(srcDir).required().min(0),
+    version: yup
+      .string()
+      .required()
+      .meta({ description: "Version of the endpoints.yaml schema" }),
+    endpoints: endpointSchemaV0D1(srcDir)
+      .required()
+      .min(0)
+      .meta({ description: "Endpoints exposed by the component" }),
   });
 
 // componentConfigYamlSchemaV1D0 - Schema for component-config.yaml
@@ -480,4 +587,6 @@ module.exports = {
   endpointYamlSchemaV0D1,
   componentConfigYamlSchemaV1beta1,
   LATEST_COMPONENT_YAML_SCHEMA_VERSION,
+  PROJECT_ONLY_TYPES,
+  PROJECT_VISIBILITY,
 };
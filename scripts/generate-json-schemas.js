@@ -0,0 +1,15 @@
+// Generates the JSON Schema documents of the source config files into the json-schemas directory
+const fs = require("fs");
+const path = require("path");
+const { createJsonSchemas } = require("../json-schema");
+
+const outputDir = path.join(__dirname, "..", "json-schemas");
+
+fs.mkdirSync(outputDir, { recursive: true });
+for (const [fileName, jsonSchema] of Object.entries(createJsonSchemas())) {
+  fs.writeFileSync(
+    path.join(outputDir, fileName),
+    JSON.stringify(jsonSchema, null, 2) + "\n"
+  );
+  console.log(`Generated json-schemas/${fileName}`);
+}
@@ -0,0 +1,75 @@
+const { parseDocument, LineCounter, isMap, isSeq, isScalar } = require("yaml");
+
+// parseErrorPath - Splits a yup error path such as endpoints[0].service.port or env["my key"] into its segments
+function parseErrorPath(errorPath) {
+  const segments = [];
+  const segmentRegex = /([^.[\]]+)|\[(\d+)\]|\["((?:[^"\\]|\\.)*)"\]/g;
+  let match;
+  while ((match = segmentRegex.exec(errorPath)) !== null) {
+    if (match[1] !== undefined) {
+      segments.push(match[1]);
+    } else if (match[2] !== undefined) {
+      segments.push(Number(match[2]));
+    } else {
+      segments.push(match[3].replace(/\\(.)/g, "$1"));
+    }
+  }
+  return segments;
+}
+
+// createSourceMap - Parses the yaml content with position information and returns a function that maps a yup
+// error path to the { line, column } of the offending node. When the node does not exist (e.g. a missing
+// required field), the position of its closest existing parent is returned. With atKey, a path that ends at a
+// mapping entry is mapped to its key rather than its value, e.g. for keys that should not be there.
+function createSourceMap(fileContent) {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(fileContent, { lineCounter });
+
+  const toPosition = (node) => {
+    if (!node || !node.range) {
+      return null;
+    }
+    const { line, col } = lineCounter.linePos(node.range[0]);
+    return { line, column: col };
+  };
+
+  return (errorPath, { atKey = false } = {}) => {
+    let node = doc.contents;
+    let position = toPosition(node);
+    if (!errorPath) {
+      return position;
+    }
+    const segments = parseErrorPath(errorPath);
+    for (const [index, segment] of segments.entries()) {
+      if (isMap(node)) {
+        const pair = node.items.find(
+          (item) =>
+            isScalar(item.key) && String(item.key.value) === String(segment)
+        );
+        if (!pair) {
+          break;
+        }
+        node = pair.value;
+        // scalar values are pointed at directly, collections at their key
+        position =
+          isScalar(node) && !(atKey && index === segments.length - 1)
+            ? toPosition(node)
+            : toPosition(pair.key);
+      } else if (isSeq(node) && typeof segment === "number") {
+        node = node.items[segment];
+        if (!node) {
+          break;
+        }
+        position = toPosition(node);
+      } else {
+        break;
+      }
+    }
+    return position;
+  };
+}
+
+module.exports = {
+  parseErrorPath,
+  createSourceMap,
+};
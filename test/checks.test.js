@@ -0,0 +1,511 @@
+const fs = require("fs");
+const path = require("path");
+const { validate } = require("../validator.js");
+const {
+  validateConnectionReferenceUsage,
+  validateConnectionKeys,
+  validateSchemaFiles,
+} = require("./component-yaml-samples.js");
+const { createSrcRootDir, removeSrcRootDir } = require("./test-utils.js");
+
+const testSrcDir = "test/";
+const COMPONENT_YAML = "component.yaml";
+
+async function validateComponentYaml(content) {
+  return await validate({
+    sourceRootDir: testSrcDir,
+    fileType: COMPONENT_YAML,
+    content,
+  });
+}
+
+describe("connection reference checks", () => {
+  test("should report env variables referring to undeclared connection references", async () => {
+    const result = await validateComponentYaml(
+      validateConnectionReferenceUsage
+    );
+    expect(result.valid).toBe(false);
+    expect(
+      result.errors.map(({ path, message, rule, line }) => ({
+        path,
+        message,
+        rule,
+        line,
+      }))
+    ).toEqual([
+      {
+        path: "configurations.env[1].valueFrom.connectionRef.name",
+        message:
+          "configurations.env[1].valueFrom.connectionRef.name refers to the connection reference 'hello-con', which is not declared in dependencies.connectionReferences",
+        rule: "undeclared-connection-reference",
+        line: 18,
+      },
+    ]);
+  });
+
+  test("should warn about connection references that are not used", async () => {
+    const result = await validateComponentYaml(
+      validateConnectionReferenceUsage
+    );
+    expect(
+      result.warnings.map(({ path, rule, line }) => ({ path, rule, line }))
+    ).toEqual([
+      {
+        path: "dependencies.connectionReferences[1].name",
+        rule: "unused-connection-reference",
+        line: 6,
+      },
+    ]);
+  });
+
+  test("should not report connection references of other file types", async () => {
+    const result = await validate({
+      sourceRootDir: testSrcDir,
+      fileType: "endpoints.yaml",
+      content: `version: 0.1
+endpoints: []
+configurations:
+  env:
+    - name: URL
+      valueFrom:
+        connectionRef:
+          name: missing
+          key: ServiceURL`,
+    });
+    expect(result.valid).toBe(true);
+  });
+});
+
+describe("connection key checks", () => {
+  test("should report keys that are not valid for the kind of the referenced resource", async () => {
+    const result = await validateComponentYaml(validateConnectionKeys);
+    expect(result.valid).toBe(false);
+    expect(
+      result.errors.map(({ path, message, rule }) => ({ path, message, rule }))
+    ).toEqual([
+      {
+        path: "configurations.env[2].valueFrom.connectionRef.key",
+        message:
+          "configurations.env[2].valueFrom.connectionRef.key 'ServiceURL' is not a valid key for the database connection 'db-conn'. Use one of: HostName, Port, Username, Password, DatabaseName",
+        rule: "invalid-connection-key",
+      },
+      {
+        path: "configurations.env[4].valueFrom.connectionRef.key",
+        message:
+          "configurations.env[4].valueFrom.connectionRef.key 'ChoreoAPIKey' is not a valid key for the thirdparty connection 'stripe-conn'. Use one of: ServiceURL, APIKey, ConsumerKey, ConsumerSecret, TokenURL",
+        rule: "invalid-connection-key",
+      },
+      {
+        path: "dependencies.serviceReferences[0].env[1].from",
+        message:
+          "dependencies.serviceReferences[0].env[1].from 'ServiceUrl' is not a valid key for the service connection 'choreo:///apifirst/mttm/mmvhxd/ad088/v1.0/PUBLIC'. Use one of: ServiceURL, ChoreoAPIKey, ConsumerKey, ConsumerSecret, TokenURL",
+        rule: "invalid-connection-key",
+      },
+    ]);
+  });
+});
+
+describe("schema file checks", () => {
+  let srcRootDir;
+
+  afterEach(() => {
+    if (srcRootDir) {
+      removeSrcRootDir(srcRootDir);
+      srcRootDir = undefined;
+    }
+  });
+
+  // validateSchemaFilesIn - Validates the validateSchemaFiles sample against the given schema files, the other
+  // schema files are copied from the test directory
+  async function validateSchemaFilesIn(schemaFiles) {
+    const files = {};
+    for (const fileName of [
+      "dummy-openapi.yaml",
+      "dummy-schema.graphql",
+      "dummy-service.proto",
+      "dummy-asyncapi.yaml",
+    ]) {
+      files[fileName] =
+        schemaFiles[fileName] ??
+        fs.readFileSync(path.join(__dirname, fileName), "utf8");
+    }
+    srcRootDir = createSrcRootDir(files);
+    return await validate({
+      sourceRootDir: srcRootDir,
+      fileType: COMPONENT_YAML,
+      content: validateSchemaFiles,
+    });
+  }
+
+  test("should accept valid schema files of every endpoint type", async () => {
+    const result = await validateComponentYaml(validateSchemaFiles);
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+  });
+
+  test("should report schema files that do not match the endpoint type", async () => {
+    const result = await validateSchemaFilesIn({
+      "dummy-openapi.yaml": "type Query {\n  greeting: String\n}\n",
+      "dummy-asyncapi.yaml": fs.readFileSync(
+        path.join(__dirname, "dummy-openapi.yaml"),
+        "utf8"
+      ),
+    });
+    expect(
+      result.errors.map(({ path, message, rule, line }) => ({
+        path,
+        message,
+        rule,
+        line,
+      }))
+    ).toEqual([
+      {
+        path: "endpoints[0].schemaFilePath",
+        message:
+          "endpoints[0].schemaFilePath dummy-openapi.yaml is not a valid OpenAPI 2 or 3 document for the REST endpoint: Implicit keys need to be on a single line (dummy-openapi.yaml line 1, column 1)",
+        rule: "invalid-schema-file",
+        line: 8,
+      },
+      {
+        path: "endpoints[3].schemaFilePath",
+        message:
+          "endpoints[3].schemaFilePath dummy-asyncapi.yaml is not a valid AsyncAPI document for the WS endpoint: The document does not have an asyncapi field (dummy-asyncapi.yaml line 1, column 1)",
+        rule: "invalid-schema-file",
+        line: 27,
+      },
+    ]);
+  });
+
+  test("should point at the errors inside broken schema files", async () => {
+    const result = await validateSchemaFilesIn({
+      "dummy-openapi.yaml":
+        "openapi: 3.0.0\ninfo:\n  title: Greeting API\npaths:\n  greeting: {}\n",
+      "dummy-schema.graphql": "type Query {\n  greeting: Strin\n}\n",
+      "dummy-service.proto":
+        'syntax = "proto3";\nservice Greeter {\n  rpc SayHello (Req) returns (Req)\n}\n',
+      "dummy-asyncapi.yaml": "asyncapi: 2.6.0\ninfo: [\n",
+    });
+    expect(result.errors.map(({ message }) => message)).toEqual([
+      "endpoints[0].schemaFilePath dummy-openapi.yaml is not a valid OpenAPI 2 or 3 document for the REST endpoint: info.version is required (dummy-openapi.yaml line 2, column 1)",
+      "endpoints[0].schemaFilePath dummy-openapi.yaml is not a valid OpenAPI 2 or 3 document for the REST endpoint: The path greeting must start with a forward slash (dummy-openapi.yaml line 5, column 3)",
+      'endpoints[1].schemaFilePath dummy-schema.graphql is not a valid GraphQL SDL schema for the GraphQL endpoint: Unknown type "Strin". Did you mean "String"? (dummy-schema.graphql line 2, column 13)',
+      "endpoints[2].schemaFilePath dummy-service.proto is not a valid protobuf file for the GRPC endpoint: illegal token '}', ';' expected (dummy-service.proto line 4, column 1)",
+      expect.stringMatching(
+        /^endpoints\[3\]\.schemaFilePath dummy-asyncapi\.yaml is not a valid AsyncAPI document for the WS endpoint: .* \(dummy-asyncapi\.yaml line \d+, column \d+\)$/
+      ),
+    ]);
+  });
+
+  test("should accept specification extensions among the OpenAPI paths", async () => {
+    const result = await validateSchemaFilesIn({
+      "dummy-openapi.yaml":
+        "openapi: 3.0.0\ninfo:\n  title: Greeting API\n  version: 1.0.0\npaths:\n  x-owner: greetings-team\n  /greeting: {}\n",
+    });
+    expect(result.errors).toEqual([]);
+  });
+
+  test("should report schema file paths that point at a directory", async () => {
+    const result = await validateComponentYaml(
+      validateSchemaFiles.replace(
+        "schemaFilePath: dummy-openapi.yaml",
+        "schemaFilePath: ."
+      )
+    );
+    expect(result.errors.map(({ message }) => message)).toEqual([
+      "endpoints[0].schemaFilePath . is not a valid OpenAPI 2 or 3 document for the REST endpoint: It is a directory, not a file",
+    ]);
+  });
+
+  test("should require a .proto file for GRPC endpoints", async () => {
+    const result = await validateComponentYaml(
+      validateSchemaFiles.replace("dummy-service.proto", "dummy-openapi.yaml")
+    );
+    expect(result.errors.map(({ message }) => message)).toEqual([
+      "endpoints[2].schemaFilePath dummy-openapi.yaml is not a valid protobuf file for the GRPC endpoint: The file name must end with .proto",
+    ]);
+  });
+});
+
+describe("openapi base path checks", () => {
+  let srcRootDir;
+
+  afterEach(() => {
+    if (srcRootDir) {
+      removeSrcRootDir(srcRootDir);
+      srcRootDir = undefined;
+    }
+  });
+
+  const dummyOpenApi = fs.readFileSync(
+    path.join(__dirname, "dummy-openapi.yaml"),
+    "utf8"
+  );
+
+  // validateWithOpenApi - Validates the REST endpoint of the validateSchemaFiles sample, whose basePath is
+  // /greeting, against the given OpenAPI document
+  async function validateWithOpenApi(openApi) {
+    if (srcRootDir) {
+      removeSrcRootDir(srcRootDir);
+    }
+    srcRootDir = createSrcRootDir({ "openapi.yaml": openApi });
+    return await validate({
+      sourceRootDir: srcRootDir,
+      fileType: COMPONENT_YAML,
+      content: `schemaVersion: 1.2
+endpoints:
+  - name: rest
+    service:
+      basePath: /greeting
+      port: 9090
+    type: REST
+    schemaFilePath: openapi.yaml`,
+    });
+  }
+
+  test("should warn when no server of the OpenAPI document has the base path of the endpoint", async () => {
+    const result = await validateWithOpenApi(`openapi: 3.0.0
+servers:
+  - url: https://api.example.com/hello/
+  - url: /v1
+${dummyOpenApi.replace("openapi: 3.0.0\n", "")}`);
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toEqual([
+      {
+        path: "endpoints[0].service.basePath",
+        message:
+          "endpoints[0].service.basePath /greeting does not match the base path declared in the OpenAPI document openapi.yaml: /hello (openapi.yaml line 3, column 10), /v1 (openapi.yaml line 4, column 10)",
+        rule: "openapi-base-path-mismatch",
+        line: 5,
+        column: 17,
+      },
+    ]);
+  });
+
+  test("should accept a server with the base path of the endpoint", async () => {
+    const result = await validateWithOpenApi(`openapi: 3.0.0
+servers:
+  - url: http://localhost:9090
+  - url: "{scheme}://api.example.com/{basePath}"
+    variables:
+      scheme:
+        default: https
+      basePath:
+        default: greeting
+${dummyOpenApi.replace("openapi: 3.0.0\n", "")}`);
+    expect(result.warnings).toEqual([]);
+  });
+
+  test("should compare the basePath of a Swagger 2 document", async () => {
+    const swagger = `swagger: "2.0"
+info:
+  title: Greeting API
+  version: 1.0.0
+basePath: /greetings
+paths: {}`;
+    const result = await validateWithOpenApi(swagger);
+    expect(result.warnings.map(({ message }) => message)).toEqual([
+      "endpoints[0].service.basePath /greeting does not match the base path declared in the OpenAPI document openapi.yaml: /greetings (openapi.yaml line 5, column 11)",
+    ]);
+    expect(
+      (await validateWithOpenApi(swagger.replace("/greetings", "/greeting/")))
+        .warnings
+    ).toEqual([]);
+  });
+
+  test("should not warn when the OpenAPI document does not declare a base path", async () => {
+    const result = await validateComponentYaml(validateSchemaFiles);
+    expect(result.warnings).toEqual([]);
+  });
+});
+
+describe("port conflict checks", () => {
+  const endpoint = (name, type, port) => `  - name: ${name}
+    service:
+      basePath: /${name}
+      port: ${port}
+    type: ${type}
+    networkVisibilities:
+      - Project`;
+
+  test("should accept endpoints of the same protocol on the same port", async () => {
+    const result = await validateComponentYaml(`schemaVersion: 1.2
+endpoints:
+${endpoint("rest", "REST", 8080)}
+${endpoint("graphql", "GraphQL", 8080)}
+${endpoint("ws", "WS", 8080)}`);
+    expect(result.errors).toEqual([]);
+  });
+
+  test("should report endpoints of different protocols on the same port", async () => {
+    const result = await validateComponentYaml(`schemaVersion: 1.2
+endpoints:
+${endpoint("rest", "REST", 8080)}
+${endpoint("grpc", "GRPC", 8080)}
+${endpoint("tcp", "TCP", 9000)}
+${endpoint("udp", "UDP", 9000)}`);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      {
+        path: "endpoints[1].service.port",
+        message:
+          "endpoints[1].service.port 8080 is already used by the REST endpoint endpoints[0]. GRPC endpoints serve gRPC, which cannot share a port with HTTP.",
+        rule: "port-conflict",
+        line: 13,
+        column: 13,
+      },
+      expect.objectContaining({
+        path: "endpoints[3].service.port",
+        message:
+          "endpoints[3].service.port 9000 is already used by the TCP endpoint endpoints[2]. UDP endpoints serve UDP, which cannot share a port with TCP.",
+      }),
+    ]);
+  });
+
+  test("should check the ports of endpoints.yaml", async () => {
+    const result = await validate({
+      sourceRootDir: testSrcDir,
+      fileType: "endpoints.yaml",
+      content: `version: 0.1
+endpoints:
+  - name: rest
+    port: 8080
+    type: REST
+    networkVisibility: Project
+    context: /rest
+  - name: grpc
+    port: 8080
+    type: GRPC
+    networkVisibility: Project`,
+    });
+    expect(result.errors.map(({ path, rule }) => [path, rule])).toEqual([
+      ["endpoints[1].port", "port-conflict"],
+    ]);
+  });
+});
+
+describe("dockerfile port checks", () => {
+  let srcRootDir;
+
+  afterEach(() => {
+    removeSrcRootDir(srcRootDir);
+  });
+
+  const componentYaml = `schemaVersion: 1.2
+endpoints:
+  - name: rest
+    service:
+      basePath: /rest
+      port: 8080
+    type: REST
+    networkVisibilities:
+      - Project
+  - name: metrics
+    service:
+      port: 9464
+    type: UDP
+    networkVisibilities:
+      - Project`;
+
+  async function validateWithDockerfile(dockerfile, content = componentYaml) {
+    srcRootDir = createSrcRootDir({ Dockerfile: dockerfile });
+    return await validate({
+      sourceRootDir: srcRootDir,
+      fileType: COMPONENT_YAML,
+      content,
+      dockerfilePath: "Dockerfile",
+    });
+  }
+
+  test("should accept endpoints whose ports are exposed", async () => {
+    const result = await validateWithDockerfile(`FROM node:20
+EXPOSE 8080 9464/udp`);
+    expect(result.warnings).toEqual([]);
+  });
+
+  test("should warn about endpoint ports that are not exposed and exposed ports without endpoints", async () => {
+    const result = await validateWithDockerfile(`FROM node:20
+EXPOSE 8008 9464`);
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toEqual([
+      {
+        path: "endpoints[0].service.port",
+        message:
+          "endpoints[0].service.port 8080 is not exposed by Dockerfile. Add EXPOSE 8080 to its final stage, or correct the port.",
+        rule: "unexposed-endpoint-port",
+        line: 6,
+        column: 13,
+      },
+      expect.objectContaining({
+        path: "endpoints[1].service.port",
+        message:
+          "endpoints[1].service.port 9464 is not exposed by Dockerfile. Add EXPOSE 9464/udp to its final stage, or correct the port.",
+      }),
+      {
+        path: "endpoints",
+        message:
+          "Dockerfile exposes 8008 on line 2, but no endpoint uses it. Add an endpoint for it, or remove it from the EXPOSE instruction.",
+        rule: "unused-exposed-port",
+        line: 2,
+        column: 1,
+      },
+      expect.objectContaining({
+        message:
+          "Dockerfile exposes 9464 on line 2, but no endpoint uses it. Add an endpoint for it, or remove it from the EXPOSE instruction.",
+      }),
+    ]);
+  });
+
+  test("should warn when the Dockerfile is missing", async () => {
+    srcRootDir = createSrcRootDir({});
+    const result = await validate({
+      sourceRootDir: srcRootDir,
+      fileType: COMPONENT_YAML,
+      content: componentYaml,
+      dockerfilePath: "Dockerfil",
+    });
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toEqual([
+      expect.objectContaining({
+        path: null,
+        message:
+          "Dockerfile Dockerfil not found, the endpoint ports were not checked against it. Correct the Dockerfile path, or turn off the missing-dockerfile rule for components without a Dockerfile.",
+        rule: "missing-dockerfile",
+      }),
+    ]);
+  });
+
+  test("should let a component without a Dockerfile turn off the missing Dockerfile warning", async () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/validator.yaml": "rules:\n  missing-dockerfile: off",
+    });
+    const result = await validate({
+      sourceRootDir: srcRootDir,
+      fileType: COMPONENT_YAML,
+      content: componentYaml,
+      dockerfilePath: "Dockerfile",
+    });
+    expect(result.warnings).toEqual([]);
+  });
+
+  test("should not check components without endpoints", async () => {
+    expect(
+      (
+        await validateWithDockerfile(
+          `FROM nginx
+EXPOSE 80`,
+          "schemaVersion: 1.2"
+        )
+      ).warnings
+    ).toEqual([]);
+  });
+
+  test("should only check the Dockerfile when asked to", async () => {
+    srcRootDir = createSrcRootDir({ Dockerfile: "FROM nginx\nEXPOSE 80" });
+    const result = await validate({
+      sourceRootDir: srcRootDir,
+      fileType: COMPONENT_YAML,
+      content: componentYaml,
+    });
+    expect(result.warnings).toEqual([]);
+  });
+});
@@ -0,0 +1,265 @@
+const fs = require("fs");
+const path = require("path");
+const { run, exitCodes } = require("../cli.js");
+const { createSrcRootDir, removeSrcRootDir } = require("./test-utils.js");
+const {
+  validComponentYamlV1D2,
+  validateEndpointName,
+} = require("./component-yaml-samples.js");
+const { validEndpointsYaml } = require("./endpoints-yaml-samples.js");
+
+const dummyOpenApi = fs.readFileSync(
+  path.join(__dirname, "dummy-openapi.yaml"),
+  "utf8"
+);
+
+describe("choreo-validate cli tests", () => {
+  let srcRootDir;
+  let logSpy;
+  let errorSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (srcRootDir) {
+      removeSrcRootDir(srcRootDir);
+      srcRootDir = undefined;
+    }
+  });
+
+  test("should exit with success for a valid component.yaml", async () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/component.yaml": validComponentYamlV1D2,
+      "dummy-openapi.yaml": dummyOpenApi,
+    });
+    const code = await run(["-s", srcRootDir, "-t", "component.yaml"]);
+    expect(code).toBe(exitCodes.SUCCESS);
+    expect(logSpy.mock.calls[0][0]).toMatch(/^✔ .*\.choreo\/component\.yaml$/);
+  });
+
+  test("should exit with failure and print the errors for an invalid component.yaml", async () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/component.yaml": validateEndpointName,
+    });
+    const code = await run([
+      "--source-root",
+      srcRootDir,
+      "--file-type",
+      "component.yaml",
+    ]);
+    expect(code).toBe(exitCodes.VALIDATION_FAILED);
+    const output = logSpy.mock.calls[0][0];
+    expect(output).toMatch(/^✖ .*\.choreo\/component\.yaml/);
+    expect(output).toContain("USER ERROR component.yaml validation failed:");
+    expect(output).toContain(
+      "- Endpoint names must be unique (line 2, column 1)"
+    );
+    expect(output).toContain("warning: OUTDATED SOURCE CONFIG");
+  });
+
+  test("should exit with failure when the source config file is missing", async () => {
+    srcRootDir = createSrcRootDir({});
+    const code = await run(["-s", srcRootDir, "-t", "endpoints.yaml"]);
+    expect(code).toBe(exitCodes.VALIDATION_FAILED);
+    expect(logSpy.mock.calls[0][0]).toContain(
+      "Failed to read source config file"
+    );
+  });
+
+  test("should detect the file type when it is not provided", async () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/component.yaml": validComponentYamlV1D2,
+      "dummy-openapi.yaml": dummyOpenApi,
+    });
+    const code = await run(["-s", srcRootDir]);
+    expect(code).toBe(exitCodes.SUCCESS);
+    expect(logSpy.mock.calls[0][0]).toMatch(/component\.yaml$/);
+  });
+
+  test("should print a json report", async () => {
+    srcRootDir = createSrcRootDir({
+      "a/.choreo/component.yaml": validComponentYamlV1D2,
+      "a/dummy-openapi.yaml": dummyOpenApi,
+      "b/.choreo/component.yaml": validateEndpointName,
+    });
+    const code = await run(["-s", srcRootDir, "--all", "-f", "json"]);
+    expect(code).toBe(exitCodes.VALIDATION_FAILED);
+    const report = JSON.parse(logSpy.mock.calls[0][0]);
+    expect(report.status).toBe("failed");
+    expect(report.summary).toEqual({ total: 2, passed: 1, failed: 1 });
+    expect(report.files.map((file) => file.status)).toEqual([
+      "passed",
+      "failed",
+    ]);
+  });
+
+  test("should write a junit report to the output file", async () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/component.yaml": validateEndpointName,
+    });
+    const outputFile = path.join(srcRootDir, "report.xml");
+    const code = await run([
+      "-s",
+      srcRootDir,
+      "--format",
+      "junit",
+      "--output",
+      outputFile,
+    ]);
+    expect(code).toBe(exitCodes.VALIDATION_FAILED);
+    expect(logSpy).not.toHaveBeenCalled();
+    const report = fs.readFileSync(outputFile, "utf8");
+    expect(report).toContain('tests="7" failures="7"');
+    expect(report).toContain(
+      '<failure type="unique-endpoint-name" message="Endpoint names must be unique">'
+    );
+  });
+
+  test("should exit with failure when the report cannot be written", async () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/component.yaml": validComponentYamlV1D2,
+      "dummy-openapi.yaml": dummyOpenApi,
+    });
+    const outputFile = path.join(srcRootDir, "missing", "dir", "report.txt");
+    const code = await run(["-s", srcRootDir, "-o", outputFile]);
+    expect(code).toBe(exitCodes.VALIDATION_FAILED);
+    expect(errorSpy.mock.calls[0][0]).toMatch(
+      new RegExp(`^Failed to write the report to ${outputFile}: ENOENT`)
+    );
+  });
+
+  test("should exit with usage error when the arguments are invalid", async () => {
+    expect(await run(["--unknown"])).toBe(exitCodes.USAGE_ERROR);
+    expect(await run(["-s"])).toBe(exitCodes.USAGE_ERROR);
+    expect(await run(["-f", "xml"])).toBe(exitCodes.USAGE_ERROR);
+    expect(errorSpy.mock.calls[2][0]).toContain(
+      "'xml' is not a valid report format"
+    );
+  });
+
+  test("should migrate an endpoints.yaml to component.yaml", async () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/endpoints.yaml": validEndpointsYaml,
+      "dummy-openapi.yaml": dummyOpenApi,
+    });
+    const code = await run(["migrate", "-s", srcRootDir]);
+    expect(code).toBe(exitCodes.SUCCESS);
+    expect(logSpy.mock.calls[1][0]).toMatch(
+      /^Migrated .*\.choreo\/endpoints\.yaml to .*\.choreo\/component\.yaml$/
+    );
+    expect(fs.existsSync(path.join(srcRootDir, ".choreo/component.yaml"))).toBe(
+      true
+    );
+    expect(fs.existsSync(path.join(srcRootDir, ".choreo/endpoints.yaml"))).toBe(
+      false
+    );
+  });
+
+  test("should show the diff and upgrade a component.yaml", async () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/component.yaml": validComponentYamlV1D2.replace(
+        "schemaVersion: 1.2",
+        "schemaVersion: 1.1"
+      ),
+      "dummy-openapi.yaml": dummyOpenApi,
+    });
+    const code = await run(["upgrade", "-s", srcRootDir, "--yes"]);
+    expect(code).toBe(exitCodes.SUCCESS);
+    expect(logSpy.mock.calls[0][0]).toContain("+schemaVersion: 1.2");
+    expect(logSpy.mock.calls.at(-1)[0]).toMatch(
+      /^Upgraded .*component\.yaml from schema version 1\.1 to 1\.2$/
+    );
+    expect(
+      fs.readFileSync(path.join(srcRootDir, ".choreo/component.yaml"), "utf8")
+    ).toMatch(/^schemaVersion: 1\.2/);
+  });
+
+  test("should exit with failure when the upgraded component.yaml cannot be written", async () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/component.yaml": validComponentYamlV1D2.replace(
+        "schemaVersion: 1.2",
+        "schemaVersion: 1.1"
+      ),
+      "dummy-openapi.yaml": dummyOpenApi,
+    });
+    jest.spyOn(fs, "writeFileSync").mockImplementation(() => {
+      throw new Error("EACCES: permission denied");
+    });
+    const code = await run(["upgrade", "-s", srcRootDir, "--yes"]);
+    expect(code).toBe(exitCodes.VALIDATION_FAILED);
+    expect(errorSpy.mock.calls[0][0]).toMatch(
+      /^Failed to write .*component\.yaml: EACCES: permission denied$/
+    );
+  });
+
+  test("should fix the source config file and report the remaining violations", async () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/component.yaml": `schemaVersion: 1.2
+endpoints:
+  - name: Greeter
+    service:
+      basePath: /greeting
+      port: 80
+    type: REST`,
+    });
+    const code = await run(["-s", srcRootDir, "--fix"]);
+    expect(code).toBe(exitCodes.VALIDATION_FAILED);
+    expect(errorSpy.mock.calls[0][0]).toMatch(
+      /^Fixed .*component\.yaml:\n  - Renamed the endpoint Greeter to greeter \(line 3, column 11\)$/
+    );
+    const output = logSpy.mock.calls[0][0];
+    expect(output).not.toContain("endpoints[0].name");
+    expect(output).toContain(
+      "endpoints[0].service.port must be greater than 1000"
+    );
+  });
+
+  test("should validate only the source config files among the given files", async () => {
+    srcRootDir = createSrcRootDir({
+      "a/.choreo/component.yaml": validComponentYamlV1D2,
+      "a/dummy-openapi.yaml": dummyOpenApi,
+      "b/.choreo/component.yaml": validateEndpointName,
+      "c/.choreo/endpoints.yaml": validEndpointsYaml,
+      "c/main.go": "package main",
+    });
+    const code = await run([
+      path.join(srcRootDir, "a/.choreo/component.yaml"),
+      path.join(srcRootDir, "b/.choreo/component.yaml"),
+      path.join(srcRootDir, "c/main.go"),
+    ]);
+    expect(code).toBe(exitCodes.VALIDATION_FAILED);
+    const output = logSpy.mock.calls[0][0];
+    expect(output).toMatch(
+      /^.*b\/\.choreo\/component\.yaml:2:1: error Endpoint names must be unique \(unique-endpoint-name\)$/m
+    );
+    expect(output).not.toContain("a/.choreo/component.yaml");
+    expect(output).not.toContain("c/");
+    expect(output).toMatch(/\n\n\d+ problems \(7 errors, 1 warnings\)$/);
+  });
+
+  test("should exit with success when none of the given files is a source config file", async () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/component.yaml": validateEndpointName,
+      "component.yaml": validateEndpointName,
+    });
+    const code = await run([
+      path.join(srcRootDir, "component.yaml"),
+      path.join(srcRootDir, ".choreo/validator.yaml"),
+    ]);
+    expect(code).toBe(exitCodes.SUCCESS);
+    expect(logSpy).not.toHaveBeenCalled();
+  });
+
+  test("should not combine files with the options that select components", async () => {
+    expect(await run(["--all", ".choreo/component.yaml"])).toBe(
+      exitCodes.USAGE_ERROR
+    );
+    expect(errorSpy.mock.calls[0][0]).toContain(
+      "Files cannot be combined with --all, --components or --file-type"
+    );
+  });
+});
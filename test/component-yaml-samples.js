@@ -645,6 +645,99 @@ configurations:
           name: hello-conn
           key: ChoreoAPIKey`;
 
+const validateConnectionReferenceUsage = `schemaVersion: 1.2
+dependencies:
+  connectionReferences:
+    - name: hello-conn
+      resourceRef: service:/connkeysrotation/hello-svc/v1/803f0/PUBLIC
+    - name: unused-conn
+      resourceRef: database:my-db
+configurations:
+  env:
+    - name: HELLO_SERVICE_URL
+      valueFrom:
+        connectionRef:
+          name: hello-conn
+          key: ServiceURL
+    - name: HELLO_SERVICE_API_KEY
+      valueFrom:
+        connectionRef:
+          name: hello-con
+          key: ChoreoAPIKey`;
+
+const validateConnectionKeys = `schemaVersion: 1.2
+dependencies:
+  serviceReferences:
+    - name: choreo:///apifirst/mttm/mmvhxd/ad088/v1.0/PUBLIC
+      connectionConfig: 19d2648b-d29c-4452-afdd-1b9311e81412
+      env:
+        - from: ServiceURL
+          to: SERVICE_URL
+        - from: ServiceUrl
+          to: SERVICE_URL_2
+  connectionReferences:
+    - name: hello-conn
+      resourceRef: service:/connkeysrotation/hello-svc/v1/803f0/PUBLIC
+    - name: db-conn
+      resourceRef: database:my-server/my-db
+    - name: stripe-conn
+      resourceRef: thirdparty:stripe/v1
+configurations:
+  env:
+    - name: HELLO_SERVICE_URL
+      valueFrom:
+        connectionRef:
+          name: hello-conn
+          key: ServiceURL
+    - name: DB_HOST
+      valueFrom:
+        connectionRef:
+          name: db-conn
+          key: HostName
+    - name: DB_URL
+      valueFrom:
+        connectionRef:
+          name: db-conn
+          key: ServiceURL
+    - name: STRIPE_API_KEY
+      valueFrom:
+        connectionRef:
+          name: stripe-conn
+          key: APIKey
+    - name: STRIPE_TOKEN
+      valueFrom:
+        connectionRef:
+          name: stripe-conn
+          key: ChoreoAPIKey`;
+
+const validateSchemaFiles = `schemaVersion: 1.2
+endpoints:
+  - name: rest
+    service:
+      basePath: /greeting
+      port: 9090
+    type: REST
+    schemaFilePath: dummy-openapi.yaml
+  - name: graphql
+    service:
+      basePath: /graphql
+      port: 9091
+    type: GraphQL
+    schemaFilePath: dummy-schema.graphql
+  - name: grpc
+    service:
+      port: 9092
+    type: GRPC
+    networkVisibilities:
+      - Project
+    schemaFilePath: dummy-service.proto
+  - name: ws
+    service:
+      basePath: /greetings
+      port: 9093
+    type: WS
+    schemaFilePath: dummy-asyncapi.yaml`;
+
 module.exports = {
   validComponentYaml,
   missingRequiredFieldsComponentYaml,
@@ -664,4 +757,7 @@ module.exports = {
   validateProjectVisibilityOnlyType,
   validComponentYamlV1D2,
   validateConfigurationsV2,
+  validateConnectionReferenceUsage,
+  validateConnectionKeys,
+  validateSchemaFiles,
 };
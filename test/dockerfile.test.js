@@ -0,0 +1,71 @@
+const { getExposedPorts } = require("../checks/dockerfile.js");
+
+describe("dockerfile tests", () => {
+  test("should return the ports exposed by the final stage", () => {
+    expect(
+      getExposedPorts(`FROM golang:1.22 AS build
+EXPOSE 6060
+RUN go build -o /app .
+
+FROM alpine:3.19
+# the API and the metrics
+EXPOSE 8080 9090/tcp 5000-5002/udp
+CMD ["/app"]`)
+    ).toEqual([
+      { from: 8080, to: 8080, protocol: "tcp", spec: "8080", line: 7 },
+      { from: 9090, to: 9090, protocol: "tcp", spec: "9090/tcp", line: 7 },
+      { from: 5000, to: 5002, protocol: "udp", spec: "5000-5002/udp", line: 7 },
+    ]);
+  });
+
+  test("should inherit the exposed ports and environment of a previous stage", () => {
+    expect(
+      getExposedPorts(`FROM node:20 AS base
+ENV PORT=3000
+ARG METRICS_PORT=9464
+EXPOSE 3000
+
+FROM base AS final
+expose $PORT \${METRICS_PORT} 4000`).map(({ spec, line }) => [spec, line])
+    ).toEqual([
+      ["3000", 4],
+      ["3000", 7],
+      ["4000", 7],
+    ]);
+  });
+
+  test("should substitute ARG and ENV variables", () => {
+    expect(
+      getExposedPorts(`ARG PORT=8080
+FROM eclipse-temurin:21
+ARG PORT
+ENV GRPC_PORT 50051
+ENV ADMIN_PORT="9000" DEBUG_PORT=\${DEBUG_PORT:-5005}
+EXPOSE $PORT \${GRPC_PORT} \${ADMIN_PORT}/tcp $DEBUG_PORT \${BUILD_PORT} \${HTTPS_PORT:-8443}`).map(
+        ({ spec }) => spec
+      )
+    ).toEqual(["8080", "50051", "9000/tcp", "5005", "8443"]);
+  });
+
+  test("should join continued lines and honor the escape directive", () => {
+    expect(
+      getExposedPorts(`FROM nginx
+EXPOSE 80 \\
+  # https
+  443`).map(({ spec, line }) => [spec, line])
+    ).toEqual([
+      ["80", 2],
+      ["443", 2],
+    ]);
+    expect(
+      getExposedPorts(
+        "# escape=`\nFROM mcr.microsoft.com/windows/nanoserver\nEXPOSE 80 `\n  8080"
+      ).map(({ spec }) => spec)
+    ).toEqual(["80", "8080"]);
+  });
+
+  test("should return no ports without a FROM instruction", () => {
+    expect(getExposedPorts("EXPOSE 8080")).toEqual([]);
+    expect(getExposedPorts("")).toEqual([]);
+  });
+});
@@ -0,0 +1,157 @@
+const fs = require("fs");
+const path = require("path");
+const { fixSrcConfigYaml, fix } = require("../fix.js");
+const { createSrcRootDir, removeSrcRootDir } = require("./test-utils.js");
+const { validComponentYamlV1D2 } = require("./component-yaml-samples.js");
+
+const fixableComponentYaml = `# greeter component
+schemaVersion: "1.2"
+endpoints:
+  - name: Greeter # main endpoint
+    service:
+      basePath: greeting
+      port: 9090
+    type: REST
+    networkVisibilities:
+      - Public # reachable from the internet
+      - Project
+      - Public
+  - name: greeter
+    service:
+      port: 9091
+    type: GRPC
+    networkVisibilities: [Public, Organization, 'Project']
+  - name: tcp
+    service:
+      port: 9092
+    type: TCP
+    networkVisibilities:
+      - Public
+`;
+
+const fixedComponentYaml = `# greeter component
+schemaVersion: 1.2
+endpoints:
+  - name: greeter-2 # main endpoint
+    service:
+      basePath: /greeting
+      port: 9090
+    type: REST
+    networkVisibilities:
+      - Public # reachable from the internet
+      - Project
+  - name: greeter
+    service:
+      port: 9091
+    type: GRPC
+    networkVisibilities: [Project]
+  - name: tcp
+    service:
+      port: 9092
+    type: TCP
+    networkVisibilities:
+      - Project
+`;
+
+describe("fix tests", () => {
+  let srcRootDir;
+
+  afterEach(() => {
+    if (srcRootDir) {
+      removeSrcRootDir(srcRootDir);
+      srcRootDir = undefined;
+    }
+  });
+
+  test("should fix a component.yaml and keep its comments", () => {
+    const { content, fixes } = fixSrcConfigYaml(
+      fixableComponentYaml,
+      "component.yaml"
+    );
+    expect(content).toBe(fixedComponentYaml);
+    expect(fixes).toEqual([
+      {
+        path: "schemaVersion",
+        message: 'Converted the schemaVersion "1.2" to a number',
+        line: 2,
+        column: 16,
+      },
+      {
+        path: "endpoints[0].name",
+        message: "Renamed the endpoint Greeter to greeter-2",
+        line: 4,
+        column: 11,
+      },
+      {
+        path: "endpoints[0].service.basePath",
+        message: "Added a leading slash to greeting",
+        line: 6,
+        column: 17,
+      },
+      {
+        path: "endpoints[0].networkVisibilities[2]",
+        message: "Removed the duplicate network visibility Public",
+        line: 12,
+        column: 9,
+      },
+      {
+        path: "endpoints[1].networkVisibilities",
+        message: "Set the network visibilities of the GRPC endpoint to Project",
+        line: 17,
+        column: 5,
+      },
+      {
+        path: "endpoints[2].networkVisibilities",
+        message: "Set the network visibilities of the TCP endpoint to Project",
+        line: 22,
+        column: 5,
+      },
+    ]);
+  });
+
+  test("should fix the context of an endpoints.yaml", () => {
+    const { content, fixes } = fixSrcConfigYaml(
+      `version: 0.1
+endpoints:
+  - name: Greeting Service
+    port: 9090
+    type: REST
+    context: "greeting"`,
+      "endpoints.yaml"
+    );
+    expect(content).toContain('context: "/greeting"');
+    expect(fixes.map((f) => f.path)).toEqual(["endpoints[0].context"]);
+  });
+
+  test("should not change a valid component.yaml", () => {
+    const { content, fixes } = fixSrcConfigYaml(
+      validComponentYamlV1D2,
+      "component.yaml"
+    );
+    expect(content).toBe(validComponentYamlV1D2);
+    expect(fixes).toEqual([]);
+  });
+
+  test("should write the fixed source config file", () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/component.yaml": fixableComponentYaml,
+    });
+    const fixed = fix({ sourceRootDir: srcRootDir });
+    expect(fixed.fileType).toBe("component.yaml");
+    expect(fixed.fixes).toHaveLength(6);
+    expect(
+      fs.readFileSync(path.join(srcRootDir, ".choreo/component.yaml"), "utf8")
+    ).toBe(fixedComponentYaml);
+  });
+
+  test("should leave a source config file that can not be parsed to the validation", () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/component.yaml": "schemaVersion: [1.2",
+    });
+    expect(fix({ sourceRootDir: srcRootDir })).toEqual({
+      fileType: "component.yaml",
+      content: null,
+      fixes: [],
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const fs = require("fs");
+const path = require("path");
+const yup = require("yup");
+const { toJsonSchema, createJsonSchemas } = require("../json-schema.js");
+
+describe("JSON Schema generation tests", () => {
+  test("should convert enums, patterns, ranges and descriptions", () => {
+    const schema = yup.object().shape({
+      name: yup
+        .string()
+        .required()
+        .max(50)
+        .matches(/^[a-z]+$/)
+        .meta({ description: "Name" }),
+      port: yup.number().moreThan(1000).lessThan(65535),
+      type: yup.string().oneOf(["REST", "GRPC"]),
+      tags: yup.array().of(yup.string()).min(1),
+      ref: yup
+        .object()
+        .shape({ id: yup.string().uuid() })
+        .nullable()
+        .default(null),
+    });
+    expect(toJsonSchema(schema.describe())).toEqual({
+      type: "object",
+      properties: {
+        name: {
+          description: "Name",
+          type: "string",
+          maxLength: 50,
+          pattern: "^[a-z]+$",
+        },
+        port: {
+          type: "number",
+          exclusiveMinimum: 1000,
+          exclusiveMaximum: 65535,
+        },
+        type: { type: "string", enum: ["REST", "GRPC"] },
+        tags: { type: "array", minItems: 1, items: { type: "string" } },
+        ref: {
+          type: ["object", "null"],
+          properties: { id: { type: "string", format: "uuid" } },
+        },
+      },
+      required: ["name"],
+    });
+  });
+
+  test("should include the allowed endpoint types and network visibilities", () => {
+    const jsonSchema = createJsonSchemas()["component-yaml-v1.2.json"];
+    const endpoint = jsonSchema.properties.endpoints.items;
+    expect(endpoint.properties.type.enum).toEqual([
+      "REST",
+      "GraphQL",
+      "GRPC",
+      "TCP",
+      "UDP",
+      "WS",
+    ]);
+    expect(endpoint.properties.networkVisibilities.items.enum).toEqual([
+      "Public",
+      "Project",
+      "Organization",
+    ]);
+    expect(jsonSchema.properties.schemaVersion.enum).toEqual([1.2]);
+  });
+
+  test("should keep the published JSON Schema documents up to date", () => {
+    // run `npm run generate-json-schemas` after changing schemas.js
+    const jsonSchemasDir = path.join(__dirname, "..", "json-schemas");
+    for (const [fileName, jsonSchema] of Object.entries(createJsonSchemas())) {
+      const published = JSON.parse(
+        fs.readFileSync(path.join(jsonSchemasDir, fileName), "utf8")
+      );
+      expect(published).toEqual(jsonSchema);
+    }
+  });
+});
@@ -0,0 +1,189 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const {
+  toEndpointName,
+  createComponentYaml,
+  migrate,
+} = require("../migrate.js");
+const { createSrcRootDir, removeSrcRootDir } = require("./test-utils.js");
+const {
+  validEndpointsYaml,
+  invalidPortEndpointsYaml,
+} = require("./endpoints-yaml-samples.js");
+
+const dummyOpenApi = fs.readFileSync(
+  path.join(__dirname, "dummy-openapi.yaml"),
+  "utf8"
+);
+
+const componentConfigYaml = `apiVersion: core.choreo.dev/v1beta1
+kind: ComponentConfig
+spec:
+  inbound:
+    - name: Greeting Service
+      port: 9090
+      type: REST
+      networkVisibility: Public
+      context: /greeting
+      schemaFilePath: dummy-openapi.yaml
+    - name: Greeting Service!
+      port: 9091
+      type: GRPC
+  outbound:
+    serviceReferences:
+      - name: choreo:///apifirst/mttm/mmvhxd/ad088/v1.0/PUBLIC
+        connectionConfig: 19d2648b-d29c-4452-afdd-1b9311e81412
+        env:
+          - from: ServiceURL
+            to: SERVICE_URL`;
+
+describe("migrate tests", () => {
+  let srcRootDir;
+
+  afterEach(() => {
+    if (srcRootDir) {
+      removeSrcRootDir(srcRootDir);
+      srcRootDir = undefined;
+    }
+  });
+
+  test("should convert legacy endpoint names into valid endpoint names", () => {
+    expect(toEndpointName("Greeting Service")).toBe("greeting-service");
+    expect(toEndpointName("9 Lives API!")).toBe("lives-api");
+    expect(toEndpointName("greeter_v2")).toBe("greeter_v2");
+    expect(toEndpointName("!!!")).toBe("endpoint");
+    expect(toEndpointName("a".repeat(60))).toHaveLength(50);
+  });
+
+  test("should convert an endpoints.yaml into a component.yaml", () => {
+    const componentYaml = createComponentYaml(
+      "endpoints.yaml",
+      yaml.load(validEndpointsYaml)
+    );
+    expect(componentYaml).toEqual({
+      schemaVersion: 1.2,
+      endpoints: [
+        {
+          name: "greeting-service",
+          displayName: "Greeting Service",
+          service: { basePath: "/greeting", port: 9090 },
+          type: "REST",
+          networkVisibilities: ["Project"],
+          schemaFilePath: "dummy-openapi.yaml",
+        },
+      ],
+    });
+  });
+
+  test("should convert a component-config.yaml into a component.yaml", () => {
+    const componentYaml = createComponentYaml(
+      "component-config.yaml",
+      yaml.load(componentConfigYaml)
+    );
+    expect(componentYaml.endpoints.map((e) => e.name)).toEqual([
+      "greeting-service",
+      "greeting-service-2",
+    ]);
+    expect(componentYaml.endpoints[1]).toEqual({
+      name: "greeting-service-2",
+      displayName: "Greeting Service!",
+      service: { port: 9091 },
+      type: "GRPC",
+      networkVisibilities: ["Project"],
+    });
+    expect(componentYaml.dependencies.serviceReferences).toEqual(
+      yaml.load(componentConfigYaml).spec.outbound.serviceReferences
+    );
+  });
+
+  test("should write a valid component.yaml and remove the migrated file", async () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/component-config.yaml": componentConfigYaml,
+      "dummy-openapi.yaml": dummyOpenApi,
+    });
+    const migration = await migrate({ sourceRootDir: srcRootDir });
+    expect(migration.fileType).toBe("component-config.yaml");
+    expect(migration.result.valid).toBe(true);
+    expect(migration.result.warnings).toEqual([]);
+    expect(migration.written).toBe(true);
+    expect(fs.readdirSync(path.join(srcRootDir, ".choreo"))).toEqual([
+      "component.yaml",
+    ]);
+    expect(
+      fs.readFileSync(path.join(srcRootDir, ".choreo/component.yaml"), "utf8")
+    ).toBe(migration.content);
+  });
+
+  test("should not write anything in a dry run", async () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/endpoints.yaml": validEndpointsYaml,
+      "dummy-openapi.yaml": dummyOpenApi,
+    });
+    const migration = await migrate({
+      sourceRootDir: srcRootDir,
+      dryRun: true,
+    });
+    expect(migration.result.valid).toBe(true);
+    expect(migration.written).toBe(false);
+    expect(migration.content).toMatch(/^schemaVersion: 1.2\n/);
+    expect(fs.readdirSync(path.join(srcRootDir, ".choreo"))).toEqual([
+      "endpoints.yaml",
+    ]);
+  });
+
+  test("should not write an invalid component.yaml", async () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/endpoints.yaml": invalidPortEndpointsYaml,
+    });
+    const migration = await migrate({ sourceRootDir: srcRootDir });
+    expect(migration.result.valid).toBe(false);
+    expect(migration.result.errors[0]).toMatchObject({
+      path: "endpoints[0].service.port",
+      line: 7,
+    });
+    expect(migration.written).toBe(false);
+    expect(fs.readdirSync(path.join(srcRootDir, ".choreo"))).toEqual([
+      "endpoints.yaml",
+    ]);
+  });
+
+  test("should not overwrite an existing component.yaml unless forced", async () => {
+    const componentYaml = "# hand written\nschemaVersion: 1.2\n";
+    srcRootDir = createSrcRootDir({
+      ".choreo/component.yaml": componentYaml,
+      ".choreo/endpoints.yaml": validEndpointsYaml,
+      "dummy-openapi.yaml": dummyOpenApi,
+    });
+    const componentYamlPath = path.join(srcRootDir, ".choreo/component.yaml");
+    await expect(
+      migrate({ sourceRootDir: srcRootDir, fileType: "endpoints.yaml" })
+    ).rejects.toThrow(
+      `USER ERROR ${componentYamlPath} already exists. Remove it, or use --force to overwrite it with the migrated endpoints.yaml`
+    );
+    expect(fs.readFileSync(componentYamlPath, "utf8")).toBe(componentYaml);
+    expect(fs.existsSync(path.join(srcRootDir, ".choreo/endpoints.yaml"))).toBe(
+      true
+    );
+
+    const migration = await migrate({
+      sourceRootDir: srcRootDir,
+      fileType: "endpoints.yaml",
+      force: true,
+    });
+    expect(migration.written).toBe(true);
+    expect(fs.readFileSync(componentYamlPath, "utf8")).toBe(migration.content);
+    expect(fs.readdirSync(path.join(srcRootDir, ".choreo"))).toEqual([
+      "component.yaml",
+    ]);
+  });
+
+  test("should refuse to migrate a component.yaml", async () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/component.yaml": "schemaVersion: 1.2",
+    });
+    await expect(migrate({ sourceRootDir: srcRootDir })).rejects.toThrow(
+      "is already a component.yaml, there is nothing to migrate"
+    );
+  });
+});
@@ -0,0 +1,228 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  findComponentDirs,
+  findChangedComponentDirs,
+  validateAll,
+} = require("../monorepo.js");
+const { createSrcRootDir, removeSrcRootDir } = require("./test-utils.js");
+const {
+  validComponentYamlV1D2,
+  validateEndpointName,
+} = require("./component-yaml-samples.js");
+
+const dummyOpenApi = fs.readFileSync(
+  path.join(__dirname, "dummy-openapi.yaml"),
+  "utf8"
+);
+
+describe("monorepo tests", () => {
+  let rootDir;
+
+  beforeEach(() => {
+    rootDir = createSrcRootDir({
+      "services/greeter/.choreo/component.yaml": validComponentYamlV1D2,
+      "services/greeter/dummy-openapi.yaml": dummyOpenApi,
+      "services/invalid/.choreo/component.yaml": validateEndpointName,
+      "apps/web/.choreo/component.yaml": validComponentYamlV1D2,
+      "apps/web/dummy-openapi.yaml": dummyOpenApi,
+      "node_modules/dep/.choreo/component.yaml": validateEndpointName,
+      "docs/README.md": "",
+    });
+  });
+
+  afterEach(() => {
+    removeSrcRootDir(rootDir);
+  });
+
+  test("should find every component directory except ignored ones", () => {
+    expect(findComponentDirs(rootDir)).toEqual([
+      "apps/web",
+      "services/greeter",
+      "services/invalid",
+    ]);
+  });
+
+  test("should only return the component directories matching the patterns", () => {
+    expect(findComponentDirs(rootDir, ["services/*"])).toEqual([
+      "services/greeter",
+      "services/invalid",
+    ]);
+    expect(findComponentDirs(rootDir, ["./apps/**/", "services/gr*"])).toEqual([
+      "apps/web",
+      "services/greeter",
+    ]);
+  });
+
+  test("should aggregate the results of every component", async () => {
+    const result = await validateAll({ rootDir });
+    expect(result.valid).toBe(false);
+    expect(result.summary).toEqual({ total: 3, passed: 2, failed: 1 });
+    expect(
+      result.components.map(({ componentDir, valid }) => [componentDir, valid])
+    ).toEqual([
+      ["apps/web", true],
+      ["services/greeter", true],
+      ["services/invalid", false],
+    ]);
+  });
+
+  test("should pass when every matched component is valid", async () => {
+    const result = await validateAll({ rootDir, patterns: ["apps/*"] });
+    expect(result.valid).toBe(true);
+    expect(result.summary).toEqual({ total: 1, passed: 1, failed: 0 });
+  });
+
+  test("should warn about ports used by more than one component when asked to", async () => {
+    const result = await validateAll({
+      rootDir,
+      patterns: ["apps/*", "services/greeter"],
+      checkPortCollisions: true,
+    });
+    expect(result.valid).toBe(true);
+    expect(
+      result.components.map(({ componentDir, warnings }) => [
+        componentDir,
+        warnings.filter(({ rule }) => rule === "component-port-collision"),
+      ])
+    ).toEqual([
+      [
+        "apps/web",
+        [
+          {
+            path: "endpoints[0].service.port",
+            message:
+              "endpoints[0].service.port 9090 is also used by the REST endpoint endpoints[0] of the component services/greeter",
+            rule: "component-port-collision",
+            line: 7,
+            column: 13,
+          },
+        ],
+      ],
+      [
+        "services/greeter",
+        [
+          expect.objectContaining({
+            message:
+              "endpoints[0].service.port 9090 is also used by the REST endpoint endpoints[0] of the component apps/web",
+          }),
+        ],
+      ],
+    ]);
+  });
+
+  test("should apply the rule levels to port collision warnings", async () => {
+    const result = await validateAll({
+      rootDir,
+      patterns: ["apps/*", "services/greeter"],
+      checkPortCollisions: true,
+      rules: { "component-port-collision": "error" },
+    });
+    expect(result.valid).toBe(false);
+    expect(
+      result.components.map(({ errors }) => errors.map(({ rule }) => rule))
+    ).toEqual([["component-port-collision"], ["component-port-collision"]]);
+  });
+
+  test("should not check port collisions by default", async () => {
+    const result = await validateAll({ rootDir });
+    for (const component of result.components) {
+      expect(component.warnings).not.toContainEqual(
+        expect.objectContaining({ rule: "component-port-collision" })
+      );
+    }
+  });
+
+  test("should fail when no components are found", async () => {
+    const result = await validateAll({ rootDir, patterns: ["missing/*"] });
+    expect(result.valid).toBe(false);
+    expect(result.components).toEqual([]);
+  });
+
+  test("should map the changed files to the component of their nearest .choreo directory", () => {
+    const nestedRootDir = createSrcRootDir({
+      ".choreo/component.yaml": `schemaVersion: 1.2
+endpoints:
+  - name: gateway
+    service:
+      basePath: /
+      port: 8080
+    type: REST
+    schemaFilePath: api/openapi.yaml`,
+      "api/.choreo/component.yaml": validComponentYamlV1D2,
+      "api/openapi.yaml": dummyOpenApi,
+      "web/.choreo/component.yaml": validComponentYamlV1D2,
+    });
+    try {
+      const componentDirs = findComponentDirs(nestedRootDir);
+      const changedDirs = (changedFiles) =>
+        findChangedComponentDirs(
+          nestedRootDir,
+          componentDirs,
+          changedFiles.map((changedFile) =>
+            path.join(nestedRootDir, changedFile)
+          )
+        );
+      expect(changedDirs(["web/index.html"])).toEqual(["web"]);
+      expect(changedDirs(["README.md", "web/.choreo/validator.yaml"])).toEqual([
+        ".",
+        "web",
+      ]);
+      // the root component references the schema file of the api component
+      expect(changedDirs(["api/openapi.yaml"])).toEqual([".", "api"]);
+      expect(changedDirs(["api/main.go"])).toEqual(["api"]);
+      expect(changedDirs([])).toEqual([]);
+      expect(
+        findChangedComponentDirs(nestedRootDir, componentDirs, [
+          path.join(nestedRootDir, "..", "outside.yaml"),
+        ])
+      ).toEqual([]);
+    } finally {
+      removeSrcRootDir(nestedRootDir);
+    }
+  });
+
+  test("should only validate the components affected by the changed files", async () => {
+    const result = await validateAll({
+      rootDir,
+      changedFiles: [
+        path.join(rootDir, "services/invalid/.choreo/component.yaml"),
+      ],
+    });
+    expect(result.valid).toBe(false);
+    expect(result.components.map(({ componentDir }) => componentDir)).toEqual([
+      "services/invalid",
+    ]);
+    expect(result.unchangedComponentDirs).toEqual([
+      "apps/web",
+      "services/greeter",
+    ]);
+    expect(result.summary).toEqual({ total: 1, passed: 0, failed: 1 });
+  });
+
+  test("should pass when no component is affected by the changed files", async () => {
+    const result = await validateAll({
+      rootDir,
+      changedFiles: [path.join(rootDir, "docs/README.md")],
+    });
+    expect(result.valid).toBe(true);
+    expect(result.components).toEqual([]);
+    expect(result.unchangedComponentDirs).toHaveLength(3);
+  });
+
+  test("should compare the ports of the changed components with the unchanged ones", async () => {
+    const result = await validateAll({
+      rootDir,
+      patterns: ["apps/*", "services/greeter"],
+      changedFiles: [path.join(rootDir, "apps/web/dummy-openapi.yaml")],
+      checkPortCollisions: true,
+    });
+    expect(result.components).toHaveLength(1);
+    expect(result.components[0].warnings).toContainEqual(
+      expect.objectContaining({
+        message:
+          "endpoints[0].service.port 9090 is also used by the REST endpoint endpoints[0] of the component services/greeter",
+      })
+    );
+  });
+});
@@ -0,0 +1,170 @@
+const path = require("path");
+const { validate } = require("../validator.js");
+const { createSrcRootDir, removeSrcRootDir } = require("./test-utils.js");
+
+const houseRulesPlugin = `module.exports = function houseRules(doc, { fileType }) {
+  if (fileType !== "component.yaml") {
+    return [];
+  }
+  const diagnostics = [];
+  (doc.endpoints || []).forEach((endpoint, index) => {
+    if (!String(endpoint?.name).startsWith("payments-")) {
+      diagnostics.push({
+        path: \`endpoints[\${index}].name\`,
+        message: \`endpoints[\${index}].name must start with the team prefix payments-\`,
+        rule: "house/team-prefix",
+      });
+    }
+  });
+  (doc.configurations?.env || []).forEach((env, index) => {
+    if (!/^[A-Z][A-Z0-9_]*$/.test(env?.name)) {
+      diagnostics.push({
+        path: \`configurations.env[\${index}].name\`,
+        message: \`configurations.env[\${index}].name must be in SCREAMING_SNAKE_CASE\`,
+        rule: "house/env-name-case",
+        severity: "warning",
+      });
+    }
+  });
+  return diagnostics;
+};`;
+
+const componentYaml = `schemaVersion: 1.2
+endpoints:
+  - name: greeter
+    service:
+      basePath: /greeting
+      port: 9090
+    type: REST
+configurations:
+  env:
+    - name: logLevel
+      value: debug`;
+
+describe("plugin tests", () => {
+  let srcRootDir;
+
+  afterEach(() => {
+    removeSrcRootDir(srcRootDir);
+  });
+
+  async function validateWithPlugins(files, options = {}) {
+    srcRootDir = createSrcRootDir(files);
+    return await validate({
+      sourceRootDir: srcRootDir,
+      fileType: "component.yaml",
+      content: componentYaml,
+      ...options,
+    });
+  }
+
+  test("should merge the diagnostics of the plugins of validator.yaml into the result", async () => {
+    const result = await validateWithPlugins({
+      ".choreo/validator.yaml": "plugins:\n  - tools/house-rules.js",
+      "tools/house-rules.js": houseRulesPlugin,
+    });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      {
+        path: "endpoints[0].name",
+        message: "endpoints[0].name must start with the team prefix payments-",
+        rule: "house/team-prefix",
+        line: 3,
+        column: 11,
+      },
+    ]);
+    expect(result.warnings).toEqual([
+      {
+        path: "configurations.env[0].name",
+        message: "configurations.env[0].name must be in SCREAMING_SNAKE_CASE",
+        rule: "house/env-name-case",
+        line: 10,
+        column: 13,
+      },
+    ]);
+  });
+
+  test("should apply the rule levels to the diagnostics of the plugins", async () => {
+    const result = await validateWithPlugins({
+      ".choreo/validator.yaml": `rules:
+  house/team-prefix: warn
+  house/env-name-case: off
+plugins:
+  - ./tools/house-rules.js`,
+      "tools/house-rules.js": houseRulesPlugin,
+    });
+    expect(result.valid).toBe(true);
+    expect(result.warnings.map(({ rule }) => rule)).toEqual([
+      "house/team-prefix",
+    ]);
+  });
+
+  test("should run the given plugins", async () => {
+    srcRootDir = createSrcRootDir({ "house-rules.js": houseRulesPlugin });
+    const result = await validate({
+      sourceRootDir: srcRootDir,
+      fileType: "component.yaml",
+      content: componentYaml,
+      plugins: [path.join(srcRootDir, "house-rules.js")],
+    });
+    expect(result.errors.map(({ rule }) => rule)).toEqual([
+      "house/team-prefix",
+    ]);
+  });
+
+  test("should give each plugin its own copy of the source config file", async () => {
+    const result = await validateWithPlugins({
+      ".choreo/validator.yaml": "plugins:\n  - mutate.js\n  - house-rules.js",
+      "mutate.js": `module.exports = (doc) => {
+  doc.endpoints[0].name = "payments-greeter";
+  return [];
+};`,
+      "house-rules.js": houseRulesPlugin,
+    });
+    expect(result.errors.map(({ rule }) => rule)).toEqual([
+      "house/team-prefix",
+    ]);
+  });
+
+  test("should report plugins that fail to load or return invalid diagnostics", async () => {
+    const result = await validateWithPlugins({
+      ".choreo/validator.yaml": `plugins:
+  - missing.js
+  - not-a-function.js
+  - throws.js
+  - invalid-diagnostics.js
+  - async.js
+  - 42`,
+      "not-a-function.js": "module.exports = { rules: [] };",
+      "throws.js": `module.exports = () => {
+  throw new Error("boom");
+};`,
+      "invalid-diagnostics.js":
+        'module.exports = () => [{ rule: "house/x", message: "x", severity: "fatal" }];',
+      "async.js": "module.exports = async () => ({});",
+    });
+    expect(result.valid).toBe(false);
+    expect(result.errors.map(({ rule, message }) => [rule, message])).toEqual([
+      [
+        "invalid-validator-config",
+        "plugins[5] must be the path of a JavaScript module, relative to the source root directory (.choreo/validator.yaml line 7, column 5)",
+      ],
+      [
+        "plugin-error",
+        expect.stringMatching(
+          /^Failed to load the plugin missing\.js: Cannot find module/
+        ),
+      ],
+      ["plugin-error", "The plugin not-a-function.js must export a function"],
+      ["plugin-error", "The plugin throws.js failed: boom"],
+      [
+        "plugin-error",
+        "The plugin invalid-diagnostics.js failed: The severity of the diagnostic at index 0 must be one of the following values: error, warning",
+      ],
+      [
+        "plugin-error",
+        "The plugin async.js failed: It must return a list of diagnostics",
+      ],
+    ]);
+  });
+});
@@ -0,0 +1,108 @@
+jest.mock("@actions/github", () => ({
+  context: { payload: {}, repo: { owner: "acme", repo: "services" } },
+  getOctokit: jest.fn(),
+}));
+jest.mock("child_process", () => ({
+  ...jest.requireActual("child_process"),
+  execFileSync: jest.fn(),
+}));
+
+const github = require("@actions/github");
+const { execFileSync } = require("child_process");
+const { getPullRequestChangedFiles } = require("../pull-request.js");
+
+const pullRequest = {
+  number: 42,
+  changed_files: 2,
+  base: { sha: "base-sha" },
+  head: { sha: "head-sha" },
+};
+
+describe("pull request tests", () => {
+  let paginate;
+
+  beforeEach(() => {
+    github.context.payload = { pull_request: pullRequest };
+    paginate = jest.fn();
+    github.getOctokit.mockReturnValue({
+      paginate,
+      rest: { pulls: { listFiles: "pulls.listFiles" } },
+    });
+    execFileSync.mockReturnValue(
+      "services/orders/main.go\nservices/orders/.choreo/component.yaml\n"
+    );
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test("should not list files outside pull requests", async () => {
+    github.context.payload = {};
+    expect(await getPullRequestChangedFiles("token")).toBeNull();
+    expect(github.getOctokit).not.toHaveBeenCalled();
+    expect(execFileSync).not.toHaveBeenCalled();
+  });
+
+  test("should list the changed files with the GitHub API", async () => {
+    paginate.mockResolvedValue([
+      { filename: "services/orders/main.go" },
+      { filename: "specs/orders.yaml", previous_filename: "orders.yaml" },
+    ]);
+    expect(await getPullRequestChangedFiles("token")).toEqual([
+      "services/orders/main.go",
+      "specs/orders.yaml",
+      "orders.yaml",
+    ]);
+    expect(github.getOctokit).toHaveBeenCalledWith("token");
+    expect(paginate).toHaveBeenCalledWith("pulls.listFiles", {
+      owner: "acme",
+      repo: "services",
+      pull_number: 42,
+      per_page: 100,
+    });
+    expect(execFileSync).not.toHaveBeenCalled();
+  });
+
+  test("should not return a partial list of the changed files", async () => {
+    paginate.mockResolvedValue([{ filename: "services/orders/main.go" }]);
+    expect(await getPullRequestChangedFiles("token")).toBeNull();
+  });
+
+  test("should list the changed files with git diff without a token", async () => {
+    expect(await getPullRequestChangedFiles("")).toEqual([
+      "services/orders/main.go",
+      "services/orders/.choreo/component.yaml",
+    ]);
+    expect(execFileSync).toHaveBeenCalledWith(
+      "git",
+      ["diff", "--name-only", "--no-renames", "base-sha...head-sha"],
+      expect.objectContaining({ encoding: "utf8" })
+    );
+  });
+
+  test("should fall back to git diff when the GitHub API request fails", async () => {
+    paginate.mockRejectedValue(
+      new Error("Resource not accessible by integration")
+    );
+    expect(await getPullRequestChangedFiles("token")).toEqual([
+      "services/orders/main.go",
+      "services/orders/.choreo/component.yaml",
+    ]);
+  });
+
+  test("should report why neither the GitHub API nor git diff listed the files", async () => {
+    paginate.mockRejectedValue(
+      new Error("Resource not accessible by integration")
+    );
+    execFileSync.mockImplementation(() => {
+      throw new Error("fatal: bad revision 'base-sha...head-sha'");
+    });
+    await expect(getPullRequestChangedFiles("token")).rejects.toThrow(
+      "Failed to list the files changed by the pull request with the GitHub API, grant the github-token the pull-requests: read permission: Resource not accessible by integration. Failed to list the files changed by the pull request with git diff, check out the repository with fetch-depth: 0: fatal: bad revision 'base-sha...head-sha'"
+    );
+    await expect(getPullRequestChangedFiles("")).rejects.toThrow(
+      "Failed to list the files changed by the pull request with git diff"
+    );
+  });
+});
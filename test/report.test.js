@@ -0,0 +1,87 @@
+const {
+  createValidationReport,
+  createMonorepoValidationReport,
+  createErrorReport,
+} = require("../report.js");
+const { validate } = require("../validator.js");
+const { validComponentYamlV1D2 } = require("./component-yaml-samples.js");
+
+const testSrcDir = "test/";
+
+describe("validation report tests", () => {
+  test("should create a passed report for a valid result", async () => {
+    const result = await validate({
+      sourceRootDir: testSrcDir,
+      fileType: "component.yaml",
+      content: validComponentYamlV1D2,
+    });
+    expect(createValidationReport(result)).toEqual({
+      status: "passed",
+      fileType: "component.yaml",
+      schemaVersion: 1.2,
+      errors: [],
+      warnings: [],
+      suppressions: [],
+    });
+  });
+
+  test("should create a failed report with the errors and warnings", async () => {
+    const result = await validate({
+      sourceRootDir: testSrcDir,
+      fileType: "component.yaml",
+      content: "schemaVersion: 1.1\nendpoints:\n  - type: REST",
+    });
+    const report = createValidationReport(result);
+    expect(report.status).toBe("failed");
+    expect(report.schemaVersion).toBe(1.1);
+    expect(report.errors.map((e) => e.path)).toEqual([
+      "endpoints[0].name",
+      "endpoints[0].service.port",
+    ]);
+    expect(report.warnings.map((w) => w.rule)).toEqual([
+      "outdated-source-config",
+    ]);
+    // the report must survive the JSON round trip of the action output
+    expect(JSON.parse(JSON.stringify(report))).toEqual(report);
+  });
+
+  test("should create a monorepo report with a report per component", () => {
+    const report = createMonorepoValidationReport({
+      valid: false,
+      summary: { total: 2, passed: 1, failed: 1 },
+      components: [
+        {
+          componentDir: "a",
+          valid: true,
+          fileType: "component.yaml",
+          schemaVersion: 1.2,
+          errors: [],
+          warnings: [],
+        },
+        {
+          componentDir: "b",
+          valid: false,
+          fileType: null,
+          schemaVersion: null,
+          errors: [
+            { path: null, message: "oops", rule: "detect-source-config" },
+          ],
+          warnings: [],
+        },
+      ],
+    });
+    expect(report.status).toBe("failed");
+    expect(report.summary).toEqual({ total: 2, passed: 1, failed: 1 });
+    expect(report.components.map((c) => [c.componentDir, c.status])).toEqual([
+      ["a", "passed"],
+      ["b", "failed"],
+    ]);
+  });
+
+  test("should create an error report for unexpected errors", () => {
+    expect(createErrorReport(new Error("boom"))).toEqual({
+      status: "error",
+      message: "boom",
+    });
+  });
+});
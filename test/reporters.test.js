@@ -0,0 +1,107 @@
+const { getReporter } = require("../reporters");
+
+const validEntry = {
+  filePath: "a/.choreo/component.yaml",
+  result: {
+    valid: true,
+    fileType: "component.yaml",
+    schemaVersion: 1.2,
+    errors: [],
+    warnings: [],
+    suppressions: [],
+  },
+};
+
+const invalidEntry = {
+  filePath: "b/.choreo/endpoints.yaml",
+  result: {
+    valid: false,
+    fileType: "endpoints.yaml",
+    schemaVersion: 0.1,
+    errors: [
+      {
+        path: "endpoints[0].context",
+        message: 'endpoints[0].context must match "<path>" & more',
+        rule: "matches",
+        line: 7,
+        column: 12,
+      },
+    ],
+    warnings: [
+      {
+        path: null,
+        message: "OUTDATED SOURCE CONFIG",
+        rule: "outdated-source-config",
+        line: 1,
+        column: 1,
+      },
+    ],
+    suppressions: [],
+  },
+};
+
+describe("reporter tests", () => {
+  test("should fail for unknown report formats", () => {
+    expect(() => getReporter("xml")).toThrow(
+      "'xml' is not a valid report format. Use one of: text, json, junit, sarif, compact"
+    );
+  });
+
+  test("text reporter should list each file with its errors and a summary", () => {
+    expect(getReporter("text")([validEntry, invalidEntry])).toBe(
+      [
+        "✔ a/.choreo/component.yaml",
+        "✖ b/.choreo/endpoints.yaml",
+        "  warning: OUTDATED SOURCE CONFIG (line 1, column 1)",
+        '  USER ERROR endpoints.yaml validation failed: endpoints[0].context must match "<path>" & more (line 7, column 12)',
+        "",
+        "1 of 2 source config files passed, 1 failed",
+      ].join("\n")
+    );
+  });
+
+  test("json reporter should report each file", () => {
+    const report = JSON.parse(getReporter("json")([validEntry, invalidEntry]));
+    expect(report.status).toBe("failed");
+    expect(report.files[1]).toEqual({
+      filePath: "b/.choreo/endpoints.yaml",
+      status: "failed",
+      fileType: "endpoints.yaml",
+      schemaVersion: 0.1,
+      errors: invalidEntry.result.errors,
+      warnings: invalidEntry.result.warnings,
+      suppressions: [],
+    });
+  });
+
+  test("junit reporter should report a test suite per file and a failed test case per error", () => {
+    expect(getReporter("junit")([validEntry, invalidEntry])).toBe(
+      [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<testsuites name="choreo-source-config-validator" tests="2" failures="1" errors="0">',
+        '  <testsuite name="a/.choreo/component.yaml" tests="1" failures="0" errors="0" skipped="0">',
+        '    <testcase classname="a/.choreo/component.yaml" name="component.yaml is valid"/>',
+        "  </testsuite>",
+        '  <testsuite name="b/.choreo/endpoints.yaml" tests="1" failures="1" errors="0" skipped="0">',
+        '    <testcase classname="b/.choreo/endpoints.yaml" name="endpoints[0].context (matches)">',
+        '      <failure type="matches" message="endpoints[0].context must match &quot;&lt;path&gt;&quot; &amp; more">endpoints[0].context must match &quot;&lt;path&gt;&quot; &amp; more (line 7, column 12)</failure>',
+        "    </testcase>",
+        "    <system-out>warning: OUTDATED SOURCE CONFIG (line 1, column 1)</system-out>",
+        "  </testsuite>",
+        "</testsuites>",
+      ].join("\n")
+    );
+  });
+
+  test("compact reporter should print a line per problem and a summary", () => {
+    expect(getReporter("compact")([validEntry, invalidEntry])).toBe(
+      [
+        "b/.choreo/endpoints.yaml:1:1: warning OUTDATED SOURCE CONFIG (outdated-source-config)",
+        'b/.choreo/endpoints.yaml:7:12: error endpoints[0].context must match "<path>" & more (matches)',
+        "",
+        "2 problems (1 errors, 1 warnings)",
+      ].join("\n")
+    );
+    expect(getReporter("compact")([validEntry])).toBe("");
+  });
+});
@@ -0,0 +1,128 @@
+const { createSarifReport } = require("../sarif.js");
+const { validate } = require("../validator.js");
+const {
+  validateProjectVisibilityOnlyType,
+} = require("./component-yaml-samples.js");
+
+const testSrcDir = "test/";
+
+describe("SARIF report tests", () => {
+  test("should report each error as a result with a physical location", async () => {
+    const result = await validate({
+      sourceRootDir: testSrcDir,
+      fileType: "component.yaml",
+      content: validateProjectVisibilityOnlyType,
+    });
+    const sarifReport = createSarifReport([
+      { filePath: "svc/.choreo/component.yaml", result },
+    ]);
+    expect(sarifReport.version).toBe("2.1.0");
+    const [run] = sarifReport.runs;
+    expect(run.tool.driver.name).toBe("choreo-source-config-validator");
+    expect(run.tool.driver.rules.map((rule) => rule.id)).toEqual([
+      "project-visibility-only",
+      "port-conflict",
+      "outdated-source-config",
+    ]);
+
+    const errorResults = run.results.filter((r) => r.level === "error");
+    expect(errorResults).toHaveLength(result.errors.length);
+    expect(errorResults[0]).toEqual({
+      ruleId: "project-visibility-only",
+      ruleIndex: 0,
+      level: "error",
+      message: { text: result.errors[0].message },
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: {
+              uri: "svc/.choreo/component.yaml",
+              uriBaseId: "%SRCROOT%",
+            },
+            region: {
+              startLine: result.errors[0].line,
+              startColumn: result.errors[0].column,
+            },
+          },
+        },
+      ],
+    });
+  });
+
+  test("should report warnings and file level errors", () => {
+    const sarifReport = createSarifReport([
+      {
+        filePath: "a/.choreo/endpoints.yaml",
+        result: {
+          errors: [],
+          warnings: [
+            {
+              path: null,
+              message: "outdated",
+              rule: "outdated-source-config",
+              line: null,
+              column: null,
+            },
+          ],
+          suppressions: [],
+        },
+      },
+      {
+        filePath: "b/.choreo",
+        result: {
+          errors: [
+            {
+              path: null,
+              message: "conflicting files",
+              rule: "detect-source-config",
+              line: null,
+              column: null,
+            },
+          ],
+          warnings: [],
+          suppressions: [],
+        },
+      },
+    ]);
+    const [run] = sarifReport.runs;
+    expect(run.results.map((r) => [r.ruleId, r.level, r.ruleIndex])).toEqual([
+      ["outdated-source-config", "warning", 0],
+      ["detect-source-config", "error", 1],
+    ]);
+    expect(run.results[1].locations[0].physicalLocation.region).toEqual({
+      startLine: 1,
+      startColumn: 1,
+    });
+  });
+
+  test("should report suppressed issues as suppressed results", () => {
+    const sarifReport = createSarifReport([
+      {
+        filePath: "a/.choreo/component.yaml",
+        result: {
+          errors: [],
+          warnings: [],
+          suppressions: [
+            {
+              path: "endpoints[1].service.port",
+              message: "port conflict",
+              rule: "port-conflict",
+              line: 11,
+              column: 13,
+              severity: "error",
+              commentLine: 10,
+            },
+          ],
+        },
+      },
+    ]);
+    const [result] = sarifReport.runs[0].results;
+    expect(result.level).toBe("error");
+    expect(result.suppressions).toEqual([
+      {
+        kind: "inSource",
+        justification: "Suppressed by the comment on line 10",
+      },
+    ]);
+  });
+});
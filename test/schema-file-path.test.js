@@ -0,0 +1,102 @@
+const fs = require("fs");
+const path = require("path");
+const { resolveSchemaFilePath } = require("../schema-file-path.js");
+const { validate } = require("../validator.js");
+const { createSrcRootDir, removeSrcRootDir } = require("./test-utils.js");
+
+describe("schema file path tests", () => {
+  let outsideDir;
+  let srcRootDir;
+
+  beforeEach(() => {
+    outsideDir = createSrcRootDir({ "secret.yaml": "openapi: 3.0.0" });
+    srcRootDir = createSrcRootDir({
+      "specs/openapi.yaml": "openapi: 3.0.0",
+      "..openapi.yaml": "openapi: 3.0.0",
+    });
+    fs.symlinkSync(
+      path.join(outsideDir, "secret.yaml"),
+      path.join(srcRootDir, "specs/linked.yaml")
+    );
+    fs.symlinkSync(
+      path.join(srcRootDir, "specs/openapi.yaml"),
+      path.join(srcRootDir, "internal.yaml")
+    );
+  });
+
+  afterEach(() => {
+    removeSrcRootDir(srcRootDir);
+    removeSrcRootDir(outsideDir);
+  });
+
+  test("should resolve paths inside the source root directory", () => {
+    expect(resolveSchemaFilePath(srcRootDir, "specs/openapi.yaml")).toEqual({
+      filePath: path.join(srcRootDir, "specs/openapi.yaml"),
+    });
+    expect(
+      resolveSchemaFilePath(srcRootDir, "specs/../specs/openapi.yaml")
+    ).toEqual({ filePath: path.join(srcRootDir, "specs/openapi.yaml") });
+    expect(resolveSchemaFilePath(srcRootDir, "..openapi.yaml")).toEqual({
+      filePath: path.join(srcRootDir, "..openapi.yaml"),
+    });
+    expect(resolveSchemaFilePath(srcRootDir, "internal.yaml")).toEqual({
+      filePath: path.join(srcRootDir, "internal.yaml"),
+    });
+  });
+
+  test("should resolve missing files, which are reported as missing by the schema", () => {
+    expect(resolveSchemaFilePath(srcRootDir, "missing.yaml")).toEqual({
+      filePath: path.join(srcRootDir, "missing.yaml"),
+    });
+  });
+
+  test("should reject absolute paths", () => {
+    for (const schemaFilePath of [
+      path.join(outsideDir, "secret.yaml"),
+      "/etc/passwd",
+      "C:\\specs\\openapi.yaml",
+    ]) {
+      expect(resolveSchemaFilePath(srcRootDir, schemaFilePath).error).toBe(
+        `Schema file path ${schemaFilePath} must be relative to the source root directory, e.g. openapi.yaml or specs/openapi.yaml.`
+      );
+    }
+  });
+
+  test("should reject paths that escape the source root directory", () => {
+    const schemaFilePath = `../${path.basename(outsideDir)}/secret.yaml`;
+    expect(resolveSchemaFilePath(srcRootDir, schemaFilePath)).toEqual({
+      error: `Schema file path ${schemaFilePath} points outside the source root directory. Move the schema file into the source code and use a path without "..".`,
+    });
+  });
+
+  test("should reject symbolic links to files outside the source root directory", () => {
+    expect(resolveSchemaFilePath(srcRootDir, "specs/linked.yaml")).toEqual({
+      error: `Schema file path specs/linked.yaml is a symbolic link to ${fs.realpathSync(
+        path.join(outsideDir, "secret.yaml")
+      )}, which is outside the source root directory. Replace the link with a copy of the schema file.`,
+    });
+  });
+
+  test("should report schema files outside the source root directory in the validation result", async () => {
+    const result = await validate({
+      sourceRootDir: srcRootDir,
+      fileType: "component.yaml",
+      content: `schemaVersion: 1.2
+endpoints:
+  - name: greeter
+    service:
+      basePath: /greeting
+      port: 9090
+    type: REST
+    schemaFilePath: specs/linked.yaml`,
+    });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      expect.objectContaining({
+        path: "endpoints[0].schemaFilePath",
+        rule: "schema-file-outside-source-root",
+        line: 8,
+      }),
+    ]);
+  });
+});
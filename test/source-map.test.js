@@ -0,0 +1,65 @@
+const { parseErrorPath, createSourceMap } = require("../source-map.js");
+const { validComponentYamlV1D2 } = require("./component-yaml-samples.js");
+
+describe("parseErrorPath tests", () => {
+  test("should split yup error paths into segments", () => {
+    expect(parseErrorPath("endpoints[0].service.port")).toEqual([
+      "endpoints",
+      0,
+      "service",
+      "port",
+    ]);
+    expect(parseErrorPath('configurations["my.key"].env[12]')).toEqual([
+      "configurations",
+      "my.key",
+      "env",
+      12,
+    ]);
+  });
+});
+
+describe("createSourceMap tests", () => {
+  const getPosition = createSourceMap(validComponentYamlV1D2);
+
+  test("should return the position of scalar values", () => {
+    expect(getPosition("endpoints[0].service.port")).toEqual({
+      line: 7,
+      column: 13,
+    });
+    expect(getPosition("schemaVersion")).toEqual({ line: 1, column: 16 });
+  });
+
+  test("should return the position of the key of collections", () => {
+    expect(getPosition("endpoints[0].service")).toEqual({
+      line: 5,
+      column: 5,
+    });
+    expect(getPosition("configurations.env[1]")).toEqual({
+      line: 24,
+      column: 7,
+    });
+  });
+
+  test("should return the position of the key of scalar values when asked to", () => {
+    expect(getPosition("endpoints[0].service.port", { atKey: true })).toEqual({
+      line: 7,
+      column: 7,
+    });
+    expect(getPosition("schemaVersion", { atKey: true })).toEqual({
+      line: 1,
+      column: 1,
+    });
+  });
+
+  test("should return the position of the closest parent of missing nodes", () => {
+    expect(getPosition("endpoints[0].service.missing")).toEqual({
+      line: 5,
+      column: 5,
+    });
+    expect(getPosition("endpoints[5].name")).toEqual({ line: 2, column: 1 });
+  });
+
+  test("should return the position of the document for empty paths", () => {
+    expect(getPosition(null)).toEqual({ line: 1, column: 1 });
+  });
+});
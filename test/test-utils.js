@@ -0,0 +1,26 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// createSrcRootDir - Creates a temporary source root directory containing the given files (relative path -> content)
+function createSrcRootDir(files) {
+  const srcRootDir = fs.mkdtempSync(
+    path.join(os.tmpdir(), "choreo-source-config-validator-")
+  );
+  for (const [filePath, content] of Object.entries(files)) {
+    const fullPath = path.join(srcRootDir, filePath);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, content);
+  }
+  return srcRootDir;
+}
+
+// removeSrcRootDir - Removes a directory created by createSrcRootDir
+function removeSrcRootDir(srcRootDir) {
+  fs.rmSync(srcRootDir, { recursive: true, force: true });
+}
+
+module.exports = {
+  createSrcRootDir,
+  removeSrcRootDir,
+};
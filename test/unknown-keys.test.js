@@ -0,0 +1,139 @@
+const { editDistance, suggestKey } = require("../unknown-keys.js");
+const { validate } = require("../validator.js");
+const { validComponentYamlV1D2 } = require("./component-yaml-samples.js");
+
+const testSrcDir = "test/";
+
+async function validateStrict(fileType, content) {
+  return await validate({
+    sourceRootDir: testSrcDir,
+    fileType,
+    content,
+    strict: true,
+  });
+}
+
+describe("unknown key tests", () => {
+  test("should count insertions, deletions, substitutions and transpositions", () => {
+    expect(editDistance("basePath", "basePath")).toBe(0);
+    expect(editDistance("connectionReference", "connectionReferences")).toBe(1);
+    expect(editDistance("nmae", "name")).toBe(1);
+    expect(editDistance("networkVisibility", "networkVisibilities")).toBe(3);
+    expect(editDistance("", "type")).toBe(4);
+  });
+
+  test("should suggest the closest valid key of a likely misspelling", () => {
+    const validKeys = ["basePath", "port"];
+    expect(suggestKey("basepath", validKeys)).toBe("basePath");
+    expect(suggestKey("prot", validKeys)).toBe("port");
+    expect(suggestKey("protocol", validKeys)).toBeNull();
+  });
+
+  test("should accept a file without unknown keys", async () => {
+    const result = await validateStrict(
+      "component.yaml",
+      validComponentYamlV1D2
+    );
+    expect(result.errors).toEqual([]);
+  });
+
+  test("should report unknown keys at every level with suggestions", async () => {
+    const result = await validateStrict(
+      "component.yaml",
+      `schemaVersion: 1.2
+endpoints:
+  - name: greeter
+    service:
+      basepath: /greeting
+      port: 9090
+    type: REST
+    networkVisibility: Public
+dependencies:
+  connectionReference: []
+colour: red`
+    );
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      {
+        path: "endpoints[0].service.basepath",
+        message:
+          "endpoints[0].service.basepath is not a valid key of endpoints[0].service. Did you mean basePath?",
+        rule: "unknown-key",
+        line: 5,
+        column: 7,
+      },
+      expect.objectContaining({
+        message:
+          "endpoints[0].networkVisibility is not a valid key of endpoints[0]. Did you mean networkVisibilities?",
+        line: 8,
+        column: 5,
+      }),
+      expect.objectContaining({
+        message:
+          "dependencies.connectionReference is not a valid key of dependencies. Did you mean connectionReferences?",
+        line: 10,
+      }),
+      expect.objectContaining({
+        message:
+          "colour is not a valid key at the top level. The valid keys are: schemaVersion, endpoints, dependencies, configuration, configurations",
+        line: 11,
+      }),
+    ]);
+  });
+
+  test("should only accept the keys of the schema version of the file", async () => {
+    const result = await validateStrict(
+      "component.yaml",
+      `schemaVersion: 1.0
+endpoints:
+  - name: greeter
+    service:
+      basePath: /greeting
+      port: 9090
+    type: REST
+dependencies:
+  connectionReferences: []`
+    );
+    expect(result.errors.map(({ message }) => message)).toEqual([
+      "dependencies.connectionReferences is not a valid key of dependencies. The valid keys are: serviceReferences",
+    ]);
+  });
+
+  test("should check the keys of endpoints.yaml and component-config.yaml", async () => {
+    const endpointsYaml = await validateStrict(
+      "endpoints.yaml",
+      `version: 0.1
+endpoints:
+  - name: greeter
+    port: 9090
+    type: REST
+    networkVisibility: Public
+    contxt: /greeting`
+    );
+    expect(
+      endpointsYaml.errors.map(({ path, rule }) => `${rule} ${path}`)
+    ).toEqual([
+      "context-required endpoints[0].context",
+      "unknown-key endpoints[0].contxt",
+    ]);
+    const componentConfigYaml = await validateStrict(
+      "component-config.yaml",
+      `apiVersion: core.choreo.dev/v1beta1
+kind: ComponentConfig
+spec:
+  inbounds: []`
+    );
+    expect(componentConfigYaml.errors.map(({ message }) => message)).toEqual([
+      "spec.inbounds is not a valid key of spec. Did you mean inbound?",
+    ]);
+  });
+
+  test("should ignore unknown keys outside strict mode", async () => {
+    const result = await validate({
+      sourceRootDir: testSrcDir,
+      fileType: "component.yaml",
+      content: "schemaVersion: 1.2\ncolour: red",
+    });
+    expect(result.errors).toEqual([]);
+  });
+});
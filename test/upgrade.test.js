@@ -0,0 +1,138 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const {
+  upgradeComponentYaml,
+  planUpgrade,
+  writeUpgrade,
+} = require("../upgrade.js");
+const { createSrcRootDir, removeSrcRootDir } = require("./test-utils.js");
+const { validComponentYamlV1D2 } = require("./component-yaml-samples.js");
+
+const dummyOpenApi = fs.readFileSync(
+  path.join(__dirname, "dummy-openapi.yaml"),
+  "utf8"
+);
+
+const componentYamlV1D0 = `# greeter component
+schemaVersion: 1.0 # keep in sync with the platform
+endpoints:
+  - name: greeter
+    service:
+      basePath: /greeting
+      port: 9090 # http
+    type: REST
+    schemaFilePath: dummy-openapi.yaml
+dependencies:
+  serviceReferences:
+    - name: choreo:///apifirst/mttm/mmvhxd/ad088/v1.0/PUBLIC
+      connectionConfig: 19d2648b-d29c-4452-afdd-1b9311e81412
+      env:
+        - from: ServiceURL
+          to: SERVICE_URL
+    - name: thirdparty:Weather/v1
+      connectionConfig: 19d2648b-d29c-4452-afdd-1b9311e81413
+      env:
+        - from: ServiceURL
+          to: WEATHER_URL`;
+
+const componentYamlV1D1 = `schemaVersion: "1.1"
+configuration: # greeter settings
+  env:
+    - name: GREETING
+      value: hello`;
+
+describe("upgrade tests", () => {
+  let srcRootDir;
+
+  afterEach(() => {
+    if (srcRootDir) {
+      removeSrcRootDir(srcRootDir);
+      srcRootDir = undefined;
+    }
+  });
+
+  test("should upgrade a component.yaml v1.0 step by step and keep its comments", () => {
+    const upgrade = upgradeComponentYaml(componentYamlV1D0);
+    expect(upgrade.fromVersion).toBe(1.0);
+    expect(upgrade.toVersion).toBe(1.2);
+    expect(upgrade.changes).toEqual([
+      "Bumped schemaVersion from 1.0 to 1.1",
+      "Bumped schemaVersion from 1.1 to 1.2",
+    ]);
+    expect(upgrade.content).toBe(
+      componentYamlV1D0.replace(
+        "schemaVersion: 1.0 # keep",
+        "schemaVersion: 1.2 # keep"
+      )
+    );
+  });
+
+  test("should suggest connection references for choreo service references", () => {
+    const { suggestions } = upgradeComponentYaml(componentYamlV1D0);
+    expect(suggestions).toHaveLength(1);
+    const suggested = yaml.load(suggestions[0].split("\n").slice(1).join("\n"));
+    expect(suggested).toEqual({
+      dependencies: {
+        connectionReferences: [
+          {
+            name: "mmvhxd-ad088",
+            resourceRef: "service:/mttm/mmvhxd/v1/ad088/PUBLIC",
+          },
+        ],
+      },
+      configurations: {
+        env: [
+          {
+            name: "SERVICE_URL",
+            valueFrom: {
+              connectionRef: { name: "mmvhxd-ad088", key: "ServiceURL" },
+            },
+          },
+        ],
+      },
+    });
+  });
+
+  test("should rename the deprecated configuration to configurations", () => {
+    const upgrade = upgradeComponentYaml(componentYamlV1D1);
+    expect(upgrade.changes).toEqual([
+      "Bumped schemaVersion from 1.1 to 1.2",
+      "Renamed the deprecated configuration to configurations",
+    ]);
+    expect(upgrade.content).toBe(`schemaVersion: 1.2
+configurations: # greeter settings
+  env:
+    - name: GREETING
+      value: hello`);
+    expect(upgrade.suggestions).toEqual([]);
+  });
+
+  test("should not change a component.yaml of the latest schema version", () => {
+    const upgrade = upgradeComponentYaml(validComponentYamlV1D2);
+    expect(upgrade.content).toBe(validComponentYamlV1D2);
+    expect(upgrade.changes).toEqual([]);
+  });
+
+  test("should reject an unknown schema version", () => {
+    expect(() => upgradeComponentYaml("schemaVersion: 0.9")).toThrow(
+      "schemaVersion must be one of the following values: 1.0, 1.1, 1.2"
+    );
+  });
+
+  test("should validate and diff the upgraded file before writing it", async () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/component.yaml": componentYamlV1D0,
+      "dummy-openapi.yaml": dummyOpenApi,
+    });
+    const plan = await planUpgrade({ sourceRootDir: srcRootDir });
+    expect(plan.result.valid).toBe(true);
+    expect(plan.diff).toContain("-schemaVersion: 1.0 # keep in sync");
+    expect(plan.diff).toContain("+schemaVersion: 1.2 # keep in sync");
+    const filePath = path.join(srcRootDir, ".choreo/component.yaml");
+    expect(fs.readFileSync(filePath, "utf8")).toBe(componentYamlV1D0);
+
+    writeUpgrade(plan);
+    expect(fs.readFileSync(filePath, "utf8")).toBe(plan.content);
+  });
+});
@@ -0,0 +1,210 @@
+const {
+  parseRuleLevels,
+  readValidatorConfig,
+} = require("../validator-config.js");
+const { validate } = require("../validator.js");
+const { createSrcRootDir, removeSrcRootDir } = require("./test-utils.js");
+
+const componentYaml = `schemaVersion: 1.2
+endpoints:
+  - name: greeter
+    service:
+      basePath: /greeting
+      port: 9090
+    type: REST
+  - name: metrics
+    service:
+      port: 9090
+    type: UDP
+    networkVisibilities:
+      - Project
+dependencies:
+  connectionReferences:
+    - name: unused-conn
+      resourceRef: service:/proj/comp/v1/ep/PUBLIC
+`;
+
+describe("validator config tests", () => {
+  let srcRootDir;
+
+  afterEach(() => {
+    if (srcRootDir) {
+      removeSrcRootDir(srcRootDir);
+      srcRootDir = undefined;
+    }
+  });
+
+  // validateComponent - Validates the given component.yaml of a component with the given validator.yaml
+  async function validateComponent(content, validatorYaml, rules) {
+    srcRootDir = createSrcRootDir(
+      validatorYaml === undefined
+        ? {}
+        : { ".choreo/validator.yaml": validatorYaml }
+    );
+    return await validate({
+      sourceRootDir: srcRootDir,
+      fileType: "component.yaml",
+      content,
+      rules,
+    });
+  }
+
+  test("should parse rule levels", () => {
+    expect(
+      parseRuleLevels(
+        "outdated-source-config: off\nport-conflict: warn",
+        "the rules input"
+      )
+    ).toEqual({
+      rules: { "outdated-source-config": "off", "port-conflict": "warn" },
+      errors: [],
+    });
+    expect(parseRuleLevels("", "the rules input")).toEqual({
+      rules: {},
+      errors: [],
+    });
+  });
+
+  test("should report invalid levels and rules that cannot be configured", () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/validator.yaml": `rules:
+  port-conflict: warning
+  parse-yaml: off
+  unused-connection-reference: error`,
+    });
+    expect(readValidatorConfig(srcRootDir)).toEqual({
+      rules: { "unused-connection-reference": "error" },
+      plugins: [],
+      errors: [
+        "The level of the port-conflict rule must be one of the following values: off, warn, error (.choreo/validator.yaml line 2, column 18)",
+        "The parse-yaml rule cannot be configured (.choreo/validator.yaml line 3, column 15)",
+      ],
+    });
+    expect(parseRuleLevels("- port-conflict", "the rules input")).toEqual({
+      rules: {},
+      errors: [
+        "The rules must be a mapping of rule IDs to off, warn or error (the rules input line 1, column 1)",
+      ],
+    });
+  });
+
+  test("should not let generic schema rules be configured", async () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/validator.yaml": `rules:
+  required: off
+  project-visibility-only: warn`,
+    });
+    expect(readValidatorConfig(srcRootDir)).toEqual({
+      rules: { "project-visibility-only": "warn" },
+      plugins: [],
+      errors: [
+        "The required rule is a generic schema check shared by many fields and cannot be configured. Suppress a single violation with a # choreo-validate-disable-next-line comment instead (.choreo/validator.yaml line 2, column 13)",
+      ],
+    });
+    removeSrcRootDir(srcRootDir);
+    const result = await validateComponent(
+      "schemaVersion: 1.2\nendpoints:\n  - type: TCP",
+      undefined,
+      { required: "off", optionality: "off" }
+    );
+    expect(result.errors.map(({ rule }) => rule)).toContain("optionality");
+  });
+
+  test("should apply the rule levels of validator.yaml", async () => {
+    const result = await validateComponent(
+      componentYaml,
+      `rules:
+  port-conflict: warn
+  unused-connection-reference: error`
+    );
+    expect(result.valid).toBe(false);
+    expect(result.errors.map(({ rule }) => rule)).toEqual([
+      "unused-connection-reference",
+    ]);
+    expect(result.warnings.map(({ rule }) => rule)).toEqual(["port-conflict"]);
+  });
+
+  test("should let the given rules take precedence over validator.yaml", async () => {
+    const result = await validateComponent(
+      componentYaml,
+      "rules:\n  port-conflict: warn",
+      { "port-conflict": "off", "unused-connection-reference": "off" }
+    );
+    expect(result).toMatchObject({ valid: true, errors: [], warnings: [] });
+  });
+
+  test("should report an invalid validator.yaml as an error", async () => {
+    const result = await validateComponent(
+      "schemaVersion: 1.2",
+      "rules: [port-conflict]"
+    );
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      {
+        path: null,
+        message:
+          "rules must be a mapping of rule IDs to off, warn or error (.choreo/validator.yaml line 1, column 1)",
+        rule: "invalid-validator-config",
+        line: null,
+        column: null,
+      },
+    ]);
+  });
+
+  test("should move the issues on the line after a suppression comment to the suppressions", async () => {
+    const result = await validateComponent(
+      componentYaml
+        .replace(
+          "    service:\n      port: 9090",
+          "    service:\n      # choreo-validate-disable-next-line port-conflict\n\n      port: 9090"
+        )
+        .replace(
+          "    - name: unused-conn",
+          "    # choreo-validate-disable-next-line\n    - name: unused-conn"
+        )
+    );
+    expect(result.valid).toBe(true);
+    expect(result.warnings).toEqual([]);
+    expect(result.suppressions).toEqual([
+      expect.objectContaining({
+        path: "endpoints[1].service.port",
+        rule: "port-conflict",
+        line: 12,
+        severity: "error",
+        commentLine: 10,
+      }),
+      expect.objectContaining({
+        path: "dependencies.connectionReferences[0].name",
+        rule: "unused-connection-reference",
+        line: 19,
+        severity: "warning",
+        commentLine: 18,
+      }),
+    ]);
+  });
+
+  test("should not suppress file level issues with a comment above the first key", async () => {
+    const result = await validateComponent(
+      "# choreo-validate-disable-next-line\nschemaVersion: 1.1"
+    );
+    expect(result.warnings).toEqual([
+      expect.objectContaining({
+        path: null,
+        rule: "outdated-source-config",
+        line: null,
+      }),
+    ]);
+    expect(result.suppressions).toEqual([]);
+  });
+
+  test("should only suppress the rules listed in the comment", async () => {
+    const result = await validateComponent(
+      componentYaml.replace(
+        "    service:\n      port: 9090",
+        "    service:\n      # choreo-validate-disable-next-line unused-connection-reference, schema-file-exists\n      port: 9090"
+      )
+    );
+    expect(result.errors.map(({ rule }) => rule)).toEqual(["port-conflict"]);
+    expect(result.suppressions).toEqual([]);
+  });
+});
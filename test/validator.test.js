@@ -0,0 +1,257 @@
+const {
+  validate,
+  detectSrcConfigFileType,
+  detectContentFileType,
+} = require("../validator.js");
+const { createSrcRootDir, removeSrcRootDir } = require("./test-utils.js");
+const {
+  validComponentYamlV1D2,
+  validateEndpointName,
+} = require("./component-yaml-samples.js");
+const { validEndpointsYaml } = require("./endpoints-yaml-samples.js");
+
+const testSrcDir = "test/";
+const COMPONENT_YAML = "component.yaml";
+const ENDPOINTS_YAML = "endpoints.yaml";
+
+describe("validate tests", () => {
+  test("should return a valid result for a valid component.yaml", async () => {
+    const result = await validate({
+      sourceRootDir: testSrcDir,
+      fileType: COMPONENT_YAML,
+      content: validComponentYamlV1D2,
+    });
+    expect(result).toEqual({
+      valid: true,
+      fileType: COMPONENT_YAML,
+      schemaVersion: 1.2,
+      errors: [],
+      warnings: [],
+      suppressions: [],
+    });
+  });
+
+  test("should return the path, message and rule of each validation error", async () => {
+    const result = await validate({
+      sourceRootDir: testSrcDir,
+      fileType: COMPONENT_YAML,
+      content: validateEndpointName,
+    });
+    expect(result.valid).toBe(false);
+    expect(result.schemaVersion).toBe(1.0);
+    expect(result.errors).toEqual([
+      {
+        path: "endpoints[2].name",
+        message:
+          "endpoints[2].name must start with a lowercase letter and can only contain lowercase letters, numbers, underscores (_), and hyphens (-).",
+        rule: "matches",
+        line: 15,
+        column: 11,
+      },
+      {
+        path: "endpoints[3].name",
+        message:
+          "endpoints[3].name must start with a lowercase letter and can only contain lowercase letters, numbers, underscores (_), and hyphens (-).",
+        rule: "matches",
+        line: 21,
+        column: 11,
+      },
+      {
+        path: "endpoints[5].name",
+        message: "endpoints[5].name must be at most 50 characters",
+        rule: "max",
+        line: 35,
+        column: 12,
+      },
+      {
+        path: "endpoints",
+        message: "Endpoint names must be unique",
+        rule: "unique-endpoint-name",
+        line: 2,
+        column: 1,
+      },
+      {
+        path: "endpoints[3].service.port",
+        message:
+          "endpoints[3].service.port 9090 is already used by the REST endpoint endpoints[0]. UDP endpoints serve UDP, which cannot share a port with HTTP.",
+        rule: "port-conflict",
+        line: 25,
+        column: 13,
+      },
+      {
+        path: "endpoints[4].service.port",
+        message:
+          "endpoints[4].service.port 9090 is already used by the UDP endpoint endpoints[3]. REST endpoints serve HTTP, which cannot share a port with UDP.",
+        rule: "port-conflict",
+        line: 33,
+        column: 13,
+      },
+      {
+        path: "endpoints[5].service.port",
+        message:
+          "endpoints[5].service.port 9090 is already used by the UDP endpoint endpoints[3]. REST endpoints serve HTTP, which cannot share a port with UDP.",
+        rule: "port-conflict",
+        line: 39,
+        column: 13,
+      },
+    ]);
+  });
+
+  test("should return a warning for outdated source config files", async () => {
+    const result = await validate({
+      sourceRootDir: testSrcDir,
+      fileType: ENDPOINTS_YAML,
+      content: validEndpointsYaml,
+    });
+    expect(result.valid).toBe(true);
+    expect(result.schemaVersion).toBe(0.1);
+    expect(result.warnings).toEqual([
+      {
+        path: null,
+        message: expect.stringContaining(
+          "OUTDATED SOURCE CONFIG: You are using endpoints.yaml"
+        ),
+        rule: "outdated-source-config",
+        line: null,
+        column: null,
+      },
+    ]);
+  });
+
+  test("should return an error when the schema version is not supported", async () => {
+    const result = await validate({
+      sourceRootDir: testSrcDir,
+      fileType: COMPONENT_YAML,
+      content: "schemaVersion: 2.0",
+    });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      {
+        path: "schemaVersion",
+        message:
+          "schemaVersion must be one of the following values: 1.0, 1.1, 1.2",
+        rule: "schema-version",
+        line: 1,
+        column: 16,
+      },
+    ]);
+  });
+
+  test("should return an error when the file type is not valid", async () => {
+    const result = await validate({
+      sourceRootDir: testSrcDir,
+      fileType: "invalid.yaml",
+      content: validComponentYamlV1D2,
+    });
+    expect(result.valid).toBe(false);
+    expect(result.errors[0].rule).toBe("file-type");
+  });
+
+  test("should return an error when the yaml cannot be parsed", async () => {
+    const result = await validate({
+      sourceRootDir: testSrcDir,
+      fileType: COMPONENT_YAML,
+      content: "schemaVersion: [1.2",
+    });
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toMatchObject({
+      rule: "parse-yaml",
+      line: 2,
+      column: 1,
+    });
+  });
+
+  test("should read the source config file from the .choreo directory", async () => {
+    const srcRootDir = createSrcRootDir({
+      ".choreo/endpoints.yaml": validEndpointsYaml,
+    });
+    try {
+      const valid = await validate({
+        sourceRootDir: srcRootDir,
+        fileType: ENDPOINTS_YAML,
+      });
+      // the schema file referenced by the sample is not present in this directory
+      expect(valid.errors.map((e) => e.rule)).toEqual(["schema-file-exists"]);
+      const missing = await validate({
+        sourceRootDir: srcRootDir,
+        fileType: COMPONENT_YAML,
+      });
+      expect(missing.errors[0].rule).toBe("read-source-config");
+    } finally {
+      removeSrcRootDir(srcRootDir);
+    }
+  });
+});
+
+describe("detectSrcConfigFileType tests", () => {
+  let srcRootDir;
+
+  afterEach(() => {
+    removeSrcRootDir(srcRootDir);
+  });
+
+  test("should detect the only source config file in the .choreo directory", () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/endpoints.yaml": validEndpointsYaml,
+    });
+    expect(detectSrcConfigFileType(srcRootDir)).toBe(ENDPOINTS_YAML);
+  });
+
+  test("should fail when no source config file exists", async () => {
+    srcRootDir = createSrcRootDir({ ".choreo/README.md": "" });
+    expect(() => detectSrcConfigFileType(srcRootDir)).toThrow(
+      /No source config file found in .*\.choreo/
+    );
+    const result = await validate({ sourceRootDir: srcRootDir });
+    expect(result.valid).toBe(false);
+    expect(result.errors[0].rule).toBe("detect-source-config");
+  });
+
+  test("should fail when conflicting source config files exist", () => {
+    srcRootDir = createSrcRootDir({
+      ".choreo/component.yaml": validComponentYamlV1D2,
+      ".choreo/endpoints.yaml": validEndpointsYaml,
+    });
+    expect(() => detectSrcConfigFileType(srcRootDir)).toThrow(
+      /Found conflicting source config files in .*: component.yaml, endpoints.yaml/
+    );
+  });
+});
+
+describe("detectContentFileType tests", () => {
+  test("should detect the source config file type from the top level keys", () => {
+    expect(detectContentFileType(validComponentYamlV1D2)).toBe(COMPONENT_YAML);
+    expect(detectContentFileType(validEndpointsYaml)).toBe(ENDPOINTS_YAML);
+    expect(
+      detectContentFileType(
+        "apiVersion: core.choreo.dev/v1beta1\nkind: ComponentConfig\n"
+      )
+    ).toBe("component-config.yaml");
+  });
+
+  test("should validate content without a file type", async () => {
+    const result = await validate({
+      sourceRootDir: testSrcDir,
+      content: validComponentYamlV1D2,
+    });
+    expect(result.fileType).toBe(COMPONENT_YAML);
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+  });
+
+  test("should fail when the file type cannot be detected from the content", async () => {
+    const result = await validate({
+      sourceRootDir: testSrcDir,
+      content: "name: greeter\n",
+    });
+    expect(result.valid).toBe(false);
+    expect(result.fileType).toBeNull();
+    expect(result.errors).toEqual([
+      expect.objectContaining({
+        rule: "detect-source-config",
+        message:
+          "Failed to detect the source config file type of the content, pass its fileType: it has neither a schemaVersion, an apiVersion or kind, nor a version and endpoints",
+      }),
+    ]);
+  });
+});
@@ -0,0 +1,116 @@
+const { validationRules } = require("./enums");
+
+// editDistance - Returns the optimal string alignment distance between two strings, i.e. the number of insertions,
+// deletions, substitutions and transpositions of adjacent characters that turn one into the other
+function editDistance(a, b) {
+  const distances = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) =>
+      i === 0 ? j : j === 0 ? i : 0
+    )
+  );
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(
+          distances[i][j],
+          distances[i - 2][j - 2] + 1
+        );
+      }
+    }
+  }
+  return distances[a.length][b.length];
+}
+
+// suggestKey - Returns the valid key closest to an unknown key, or null when none is close enough to be a likely
+// misspelling. Case is ignored, so that basepath suggests basePath.
+function suggestKey(key, validKeys) {
+  const maxDistance = Math.max(1, Math.floor(key.length / 3));
+  let suggestion = null;
+  let suggestionDistance = Infinity;
+  for (const validKey of validKeys) {
+    const distance = editDistance(key.toLowerCase(), validKey.toLowerCase());
+    if (distance <= maxDistance && distance < suggestionDistance) {
+      suggestion = validKey;
+      suggestionDistance = distance;
+    }
+  }
+  return suggestion;
+}
+
+// UNMODELED_KEYS - Keys that Choreo reads but the schemas do not define yet, per parent path. They are not
+// reported and their values are not checked, e.g. the file mounts under configurations.file.
+const UNMODELED_KEYS = {
+  configuration: ["file"],
+  configurations: ["file"],
+};
+
+// joinPath - Appends a key to a yup error path, quoting the keys that cannot be written with a dot
+function joinPath(parentPath, key) {
+  if (/^[^.[\]"\s]+$/.test(key)) {
+    return parentPath ? `${parentPath}.${key}` : key;
+  }
+  return `${parentPath}[${JSON.stringify(key)}]`;
+}
+
+// findUnknownKeys - Walks a parsed source config file along the description of its yup schema, as returned by
+// schema.describe(), and returns a { path, message, rule } issue for every key that the schema does not define.
+// The message suggests the closest valid key of the same mapping when the unknown key looks like a misspelling.
+// Values that do not have the type of their schema are left to the schema validation.
+function findUnknownKeys(description, value, parentPath = "") {
+  if (
+    description.type === "object" &&
+    description.fields &&
+    value &&
+    typeof value === "object" &&
+    !Array.isArray(value)
+  ) {
+    const validKeys = Object.keys(description.fields);
+    const issues = [];
+    for (const [key, fieldValue] of Object.entries(value)) {
+      const keyPath = joinPath(parentPath, key);
+      if (UNMODELED_KEYS[parentPath]?.includes(key)) {
+        continue;
+      }
+      if (description.fields[key]) {
+        issues.push(
+          ...findUnknownKeys(description.fields[key], fieldValue, keyPath)
+        );
+        continue;
+      }
+      const suggestion = suggestKey(key, validKeys);
+      const location = parentPath ? `of ${parentPath}` : "at the top level";
+      issues.push({
+        path: keyPath,
+        message: suggestion
+          ? `${keyPath} is not a valid key ${location}. Did you mean ${suggestion}?`
+          : `${keyPath} is not a valid key ${location}. The valid keys are: ${validKeys.join(
+              ", "
+            )}`,
+        rule: validationRules.UNKNOWN_KEY,
+      });
+    }
+    return issues;
+  }
+  if (
+    description.type === "array" &&
+    description.innerType &&
+    Array.isArray(value)
+  ) {
+    return value.flatMap((item, index) =>
+      findUnknownKeys(description.innerType, item, `${parentPath}[${index}]`)
+    );
+  }
+  return [];
+}
+
+module.exports = {
+  editDistance,
+  suggestKey,
+  findUnknownKeys,
+};
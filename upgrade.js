@@ -0,0 +1,190 @@
+const fs = require("fs");
+const { createTwoFilesPatch } = require("diff");
+const { stringify, isScalar } = require("yaml");
+const {
+  validate,
+  getSrcConfigFilePath,
+  readSrcConfigYaml,
+} = require("./validator");
+const { LATEST_COMPONENT_YAML_SCHEMA_VERSION } = require("./schemas");
+const { sourceConfigFileTypes, errCodes } = require("./enums");
+const {
+  parseYamlDocument,
+  findPair,
+  replaceNode,
+  applyEdits,
+} = require("./yaml-edits");
+
+// choreo:///<org-handle>/<project-handle>/<component-handle>/<endpoint-identifier>/<major-version>/<network-visibility>
+const CHOREO_SERVICE_NAME_REGEX =
+  /^choreo:\/\/\/([a-zA-Z0-9_-]+)\/([a-zA-Z0-9_-]+)\/([a-zA-Z0-9_-]+)\/([a-zA-Z0-9_-]+)\/v(\d+)(\.\d+)?\/(PUBLIC|PROJECT|ORGANIZATION)$/;
+
+// formatVersion - Formats a component.yaml schema version, keeping the fraction digit of whole versions such as 1.0
+function formatVersion(version) {
+  return Number(version).toFixed(1);
+}
+
+// renameConfiguration - Moves the deprecated configuration key to configurations
+function renameConfiguration(doc) {
+  const configurationPair = findPair(doc.contents, "configuration");
+  if (!configurationPair) {
+    return {};
+  }
+  if (findPair(doc.contents, "configurations")) {
+    return {
+      suggestions: [
+        "Both configuration and configurations are present. Move the environment variables of the deprecated configuration to configurations and remove it.",
+      ],
+    };
+  }
+  return {
+    edits: [replaceNode(configurationPair.key, "configurations")],
+    changes: ["Renamed the deprecated configuration to configurations"],
+  };
+}
+
+// upgradeSteps - Each step upgrades a component.yaml from one schema version to the next. Besides bumping the
+// schemaVersion, which is done for every step, a step returns the { edits, changes, suggestions } it needs.
+const upgradeSteps = [
+  { from: 1.0, to: 1.1, upgrade: () => ({}) },
+  { from: 1.1, to: 1.2, upgrade: renameConfiguration },
+];
+
+// toConnectionName - Creates a connection reference name from the handles of the referenced service
+function toConnectionName(componentHandle, endpointHandle) {
+  return `${componentHandle}-${endpointHandle}`
+    .replace(/[^a-zA-Z0-9]{2,}/g, "-")
+    .replace(/^[^a-zA-Z0-9]+|[^a-zA-Z0-9]+$/g, "")
+    .slice(0, 50);
+}
+
+// suggestConnectionReferences - Suggests connection references and connection backed environment variables that
+// replace the choreo:/// service references of a component.yaml. Other service references are not translated.
+function suggestConnectionReferences(componentYaml) {
+  const serviceReferences = componentYaml?.dependencies?.serviceReferences;
+  if (!Array.isArray(serviceReferences)) {
+    return [];
+  }
+  const connectionReferences = [];
+  const env = [];
+  for (const serviceReference of serviceReferences) {
+    const match = CHOREO_SERVICE_NAME_REGEX.exec(serviceReference?.name ?? "");
+    if (!match) {
+      continue;
+    }
+    const [, , project, component, endpoint, majorVersion, , visibility] =
+      match;
+    const name = toConnectionName(component, endpoint);
+    connectionReferences.push({
+      name,
+      resourceRef: `service:/${project}/${component}/v${majorVersion}/${endpoint}/${visibility}`,
+    });
+    for (const mapping of Array.isArray(serviceReference.env)
+      ? serviceReference.env
+      : []) {
+      env.push({
+        name: mapping?.to,
+        valueFrom: { connectionRef: { name, key: mapping?.from } },
+      });
+    }
+  }
+  if (connectionReferences.length === 0) {
+    return [];
+  }
+  const replacement = { dependencies: { connectionReferences } };
+  if (env.length > 0) {
+    replacement.configurations = { env };
+  }
+  return [
+    "Replace the choreo:/// service references with connection references. Create the connections in Choreo, " +
+      "then remove the serviceReferences and add the following:\n" +
+      stringify(replacement).trimEnd(),
+  ];
+}
+
+// upgradeComponentYaml - Upgrades the content of a component.yaml step by step to the latest schema version.
+// The content is edited in place, so comments and formatting are kept.
+function upgradeComponentYaml(content) {
+  let doc = parseYamlDocument(content);
+  const schemaVersionPair = findPair(doc.contents, "schemaVersion");
+  const fromVersion = isScalar(schemaVersionPair?.value)
+    ? Number(schemaVersionPair.value.value)
+    : NaN;
+  const knownVersions = [
+    ...upgradeSteps.map((step) => step.from),
+    LATEST_COMPONENT_YAML_SCHEMA_VERSION,
+  ];
+  if (!knownVersions.includes(fromVersion)) {
+    throw new Error(
+      `${errCodes.USER_ERROR} schemaVersion must be one of the following values: ${knownVersions
+        .map(formatVersion)
+        .join(", ")}`
+    );
+  }
+
+  let version = fromVersion;
+  const changes = [];
+  const suggestions = [];
+  for (const step of upgradeSteps) {
+    if (step.from !== version) {
+      continue;
+    }
+    const upgrade = step.upgrade(doc);
+    const schemaVersionNode = findPair(doc.contents, "schemaVersion").value;
+    content = applyEdits(content, [
+      replaceNode(schemaVersionNode, formatVersion(step.to)),
+      ...(upgrade.edits || []),
+    ]);
+    changes.push(
+      `Bumped schemaVersion from ${formatVersion(step.from)} to ${formatVersion(
+        step.to
+      )}`,
+      ...(upgrade.changes || [])
+    );
+    suggestions.push(...(upgrade.suggestions || []));
+    doc = parseYamlDocument(content);
+    version = step.to;
+  }
+  suggestions.push(...suggestConnectionReferences(doc.toJS()));
+  return { fromVersion, toVersion: version, content, changes, suggestions };
+}
+
+// planUpgrade - Upgrades the component.yaml of a component without writing it, and returns the upgraded content
+// along with a diff against the current file and the validation result of the upgraded content
+async function planUpgrade({ sourceRootDir = "." } = {}) {
+  const filePath = getSrcConfigFilePath(
+    sourceRootDir,
+    sourceConfigFileTypes.COMPONENT_YAML
+  );
+  let original;
+  try {
+    original = readSrcConfigYaml(
+      sourceRootDir,
+      sourceConfigFileTypes.COMPONENT_YAML
+    );
+  } catch (error) {
+    throw new Error(`${errCodes.USER_ERROR} ${error.message}`);
+  }
+  const upgrade = upgradeComponentYaml(original);
+  const diff =
+    upgrade.content === original
+      ? ""
+      : createTwoFilesPatch(filePath, filePath, original, upgrade.content);
+  const result = await validate({
+    sourceRootDir,
+    fileType: sourceConfigFileTypes.COMPONENT_YAML,
+    content: upgrade.content,
+  });
+  return { filePath, ...upgrade, diff, result };
+}
+
+// writeUpgrade - Writes the upgraded component.yaml returned by planUpgrade
+function writeUpgrade(plan) {
+  fs.writeFileSync(plan.filePath, plan.content);
+}
+
+module.exports = {
+  upgradeComponentYaml,
+  planUpgrade,
+  writeUpgrade,
+};
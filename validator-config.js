@@ -0,0 +1,296 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { validationRules, ruleLevels, severities } = require("./enums");
+const { createSourceMap } = require("./source-map");
+
+const VALIDATOR_CONFIG_FILE = path.join(".choreo", "validator.yaml");
+
+// rules that report why a source config file could not be validated at all, or not by every plugin, turning them
+// off or into warnings would let a file pass without being validated
+const UNCONFIGURABLE_RULES = [
+  validationRules.FILE_TYPE,
+  validationRules.DETECT_SOURCE_CONFIG,
+  validationRules.READ_SOURCE_CONFIG,
+  validationRules.PARSE_YAML,
+  validationRules.SCHEMA_VERSION,
+  validationRules.INVALID_VALIDATOR_CONFIG,
+  validationRules.PLUGIN_ERROR,
+];
+
+// built-in yup tests, which the schema validation reports under their own name for every field that fails them, so
+// a level for one of them, such as required: off, would change the checks of every field at once
+const GENERIC_SCHEMA_RULES = [
+  "required",
+  "defined",
+  "nullable",
+  "optionality",
+  "typeError",
+  "matches",
+  "min",
+  "max",
+  "length",
+  "integer",
+  "oneOf",
+  "notOneOf",
+  "email",
+  "url",
+  "uuid",
+  "datetime",
+  "datetime_offset",
+  "datetime_precision",
+  "trim",
+  "string_case",
+  "noUnknown",
+];
+
+const SUPPRESSION_COMMENT = "choreo-validate-disable-next-line";
+const SUPPRESSION_COMMENT_REGEX = new RegExp(
+  `^\\s*#\\s*${SUPPRESSION_COMMENT}(?:\\s+(.*))?$`
+);
+
+// createErrorFormatter - Returns a function that appends the position of a path of a yaml file to an error
+// message. The source names the file or input in the messages.
+function createErrorFormatter(content, source) {
+  const getPosition = createSourceMap(content);
+  return (message, errorPath) => {
+    const { line, column } = getPosition(errorPath);
+    return line
+      ? `${message} (${source} line ${line}, column ${column})`
+      : `${message} (${source})`;
+  };
+}
+
+// toRuleLevels - Checks the mapping of rule IDs to off, warn or error at the given path of a parsed yaml file.
+// Returns the valid entries as rules, along with the error messages of the invalid ones.
+function toRuleLevels(value, formatError, rulesPath = null) {
+  if (value === undefined || value === null) {
+    return { rules: {}, errors: [] };
+  }
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return {
+      rules: {},
+      errors: [
+        formatError(
+          `${
+            rulesPath || "The rules"
+          } must be a mapping of rule IDs to off, warn or error`,
+          rulesPath
+        ),
+      ],
+    };
+  }
+  const rules = {};
+  const errors = [];
+  const levels = Object.values(ruleLevels);
+  for (const [rule, level] of Object.entries(value)) {
+    const errorPath = `${rulesPath || ""}[${JSON.stringify(rule)}]`;
+    if (UNCONFIGURABLE_RULES.includes(rule)) {
+      errors.push(
+        formatError(`The ${rule} rule cannot be configured`, errorPath)
+      );
+    } else if (GENERIC_SCHEMA_RULES.includes(rule)) {
+      errors.push(
+        formatError(
+          `The ${rule} rule is a generic schema check shared by many fields and cannot be configured. Suppress a single violation with a # ${SUPPRESSION_COMMENT} comment instead`,
+          errorPath
+        )
+      );
+    } else if (!levels.includes(level)) {
+      errors.push(
+        formatError(
+          `The level of the ${rule} rule must be one of the following values: ${levels.join(
+            ", "
+          )}`,
+          errorPath
+        )
+      );
+    } else {
+      rules[rule] = level;
+    }
+  }
+  return { rules, errors };
+}
+
+// toPluginPaths - Checks the list of plugin module paths under plugins of a parsed validator.yaml, and resolves
+// them against the source root directory. Returns the valid paths, along with the error messages of the invalid
+// entries.
+function toPluginPaths(value, formatError, sourceRootDir) {
+  if (value === undefined || value === null) {
+    return { plugins: [], errors: [] };
+  }
+  if (!Array.isArray(value)) {
+    return {
+      plugins: [],
+      errors: [
+        formatError("plugins must be a list of module paths", "plugins"),
+      ],
+    };
+  }
+  const plugins = [];
+  const errors = [];
+  value.forEach((pluginPath, index) => {
+    if (typeof pluginPath !== "string" || !pluginPath.trim()) {
+      errors.push(
+        formatError(
+          `plugins[${index}] must be the path of a JavaScript module, relative to the source root directory`,
+          `plugins[${index}]`
+        )
+      );
+    } else {
+      plugins.push(path.resolve(sourceRootDir, pluginPath.trim()));
+    }
+  });
+  return { plugins, errors };
+}
+
+// parseRuleLevels - Parses a yaml mapping of rule IDs to off, warn or error, such as the rules action input
+function parseRuleLevels(content, source) {
+  let value;
+  try {
+    value = yaml.load(content);
+  } catch (error) {
+    return {
+      rules: {},
+      errors: [`Failed to parse ${source}: ${error.message}`],
+    };
+  }
+  return toRuleLevels(value, createErrorFormatter(content, source));
+}
+
+// readValidatorConfig - Reads the .choreo/validator.yaml file of a component, which sets the levels of the rules
+// under rules and lists the plugins to run under plugins. Returns the { rules, plugins, errors } of the file, where
+// the plugins are absolute module paths. A missing file configures nothing.
+function readValidatorConfig(sourceRootDir) {
+  const configPath = path.join(sourceRootDir, VALIDATOR_CONFIG_FILE);
+  const source = VALIDATOR_CONFIG_FILE.split(path.sep).join("/");
+  const withErrors = (errors) => ({ rules: {}, plugins: [], errors });
+  let content;
+  try {
+    content = fs.readFileSync(configPath, "utf8");
+  } catch (error) {
+    return withErrors(
+      error.code === "ENOENT"
+        ? []
+        : [`Failed to read ${source}: ${error.message}`]
+    );
+  }
+  let config;
+  try {
+    config = yaml.load(content);
+  } catch (error) {
+    return withErrors([`Failed to parse ${source}: ${error.message}`]);
+  }
+  if (config === undefined || config === null) {
+    return withErrors([]);
+  }
+  if (typeof config !== "object" || Array.isArray(config)) {
+    return withErrors([`${source} must contain a mapping`]);
+  }
+  const formatError = createErrorFormatter(content, source);
+  const { rules, errors: ruleErrors } = toRuleLevels(
+    config.rules,
+    formatError,
+    "rules"
+  );
+  const { plugins, errors: pluginErrors } = toPluginPaths(
+    config.plugins,
+    formatError,
+    sourceRootDir
+  );
+  return { rules, plugins, errors: [...ruleErrors, ...pluginErrors] };
+}
+
+// getSuppressionComments - Returns the lines targeted by the # choreo-validate-disable-next-line comments of a
+// source config file, which is the next line that is neither empty nor a comment. The rules of a comment are
+// separated by commas or spaces, a comment without rules suppresses every rule.
+function getSuppressionComments(fileContent) {
+  const lines = fileContent.split(/\r?\n/);
+  const comments = [];
+  lines.forEach((line, index) => {
+    const match = SUPPRESSION_COMMENT_REGEX.exec(line);
+    if (!match) {
+      return;
+    }
+    let targetIndex = index + 1;
+    while (
+      targetIndex < lines.length &&
+      (!lines[targetIndex].trim() || lines[targetIndex].trim().startsWith("#"))
+    ) {
+      targetIndex++;
+    }
+    if (targetIndex < lines.length) {
+      comments.push({
+        line: targetIndex + 1,
+        commentLine: index + 1,
+        rules: (match[1] || "").split(/[\s,]+/).filter(Boolean),
+      });
+    }
+  });
+  return comments;
+}
+
+// applyRuleConfig - Applies the rule levels and the suppression comments of the source config file to the errors
+// and warnings of a validation result. Rules set to warn or error are moved to the warnings or errors, rules set
+// to off are dropped, and the issues on a line targeted by a suppression comment are moved to the suppressions.
+// Applying it again, e.g. after more warnings are added to the result, leaves the issues already handled as is.
+function applyRuleConfig(result, rules, fileContent) {
+  const comments = getSuppressionComments(fileContent);
+  const errors = [];
+  const warnings = [];
+  const suppressions = result.suppressions || [];
+  const issues = [
+    ...result.errors.map((issue) => [issue, severities.ERROR]),
+    ...result.warnings.map((issue) => [issue, severities.WARNING]),
+  ];
+  for (const [issue, defaultSeverity] of issues) {
+    const configurable = !UNCONFIGURABLE_RULES.includes(issue.rule);
+    // generic schema rules can only be suppressed by a comment
+    const level =
+      configurable && !GENERIC_SCHEMA_RULES.includes(issue.rule)
+        ? rules[issue.rule]
+        : undefined;
+    if (level === ruleLevels.OFF) {
+      continue;
+    }
+    const severity =
+      level === ruleLevels.WARN
+        ? severities.WARNING
+        : level === ruleLevels.ERROR
+          ? severities.ERROR
+          : defaultSeverity;
+    const comment =
+      configurable && issue.line
+        ? comments.find(
+            (suppression) =>
+              suppression.line === issue.line &&
+              (suppression.rules.length === 0 ||
+                suppression.rules.includes(issue.rule))
+          )
+        : undefined;
+    if (comment) {
+      suppressions.push({
+        ...issue,
+        severity,
+        commentLine: comment.commentLine,
+      });
+    } else if (severity === severities.ERROR) {
+      errors.push(issue);
+    } else {
+      warnings.push(issue);
+    }
+  }
+  result.errors = errors;
+  result.warnings = warnings;
+  result.suppressions = suppressions;
+  result.valid = errors.length === 0;
+  return result;
+}
+
+module.exports = {
+  VALIDATOR_CONFIG_FILE,
+  SUPPRESSION_COMMENT,
+  parseRuleLevels,
+  readValidatorConfig,
+  applyRuleConfig,
+};
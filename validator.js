@@ -0,0 +1,431 @@
+const fs = require("fs");
+const yaml = require("js-yaml");
+const path = require("path");
+const {
+  componentYamlSchemaV1D2,
+  componentYamlSchemaV1D1,
+  componentYamlSchemaV1D0,
+  endpointYamlSchemaV0D1,
+  componentConfigYamlSchemaV1beta1,
+  LATEST_COMPONENT_YAML_SCHEMA_VERSION,
+} = require("./schemas");
+const {
+  sourceConfigFileTypes,
+  errCodes,
+  validationRules,
+  severities,
+} = require("./enums");
+const { createSourceMap } = require("./source-map");
+const { runDocumentChecks } = require("./checks");
+const { readValidatorConfig, applyRuleConfig } = require("./validator-config");
+const { runPlugins } = require("./plugins");
+const { findUnknownKeys } = require("./unknown-keys");
+
+// getOlderSrcConfigDetectedMessage - Returns a warning message if the source config file is outdated, otherwise null
+function getOlderSrcConfigDetectedMessage(fileType, componentYamlVersion) {
+  if (
+    fileType === sourceConfigFileTypes.COMPONENT_CONFIG_YAML ||
+    fileType === sourceConfigFileTypes.ENDPOINT_YAML
+  ) {
+    return `OUTDATED SOURCE CONFIG: You are using ${fileType}, which is an outdated source configuration file. Update to "component.yaml v${LATEST_COMPONENT_YAML_SCHEMA_VERSION}" to benefit from new features and improvements.`;
+  }
+  if (fileType === sourceConfigFileTypes.COMPONENT_YAML) {
+    const parsedComponentYamlVersion = Number(componentYamlVersion);
+    if (parsedComponentYamlVersion < LATEST_COMPONENT_YAML_SCHEMA_VERSION) {
+      return `OUTDATED SOURCE CONFIG: You are using component.yaml v${parsedComponentYamlVersion}, which is an outdated source configuration file. Update to "component.yaml v${LATEST_COMPONENT_YAML_SCHEMA_VERSION}" to benefit from new features and improvements.`;
+    }
+  }
+  return null;
+}
+
+// getSrcConfigFilePath - Returns the path of the source config file of the given type, or the path of the
+// .choreo directory when the file type is not known
+function getSrcConfigFilePath(sourceRootDir, fileType) {
+  const choreoDir = path.join(sourceRootDir, ".choreo");
+  return fileType ? path.join(choreoDir, fileType) : choreoDir;
+}
+
+function readSrcConfigYaml(filePath, fileType) {
+  try {
+    let fullPath;
+    if (
+      fileType === sourceConfigFileTypes.COMPONENT_YAML ||
+      fileType === sourceConfigFileTypes.ENDPOINT_YAML ||
+      fileType === sourceConfigFileTypes.COMPONENT_CONFIG_YAML
+    ) {
+      fullPath = getSrcConfigFilePath(filePath, fileType);
+    } else {
+      throw new Error(`'${fileType}' is not a valid source config file type`);
+    }
+
+    let fileContent = fs.readFileSync(fullPath, "utf8");
+    return fileContent;
+  } catch (error) {
+    throw new Error(`Failed to read source config file: ${error.message}`);
+  }
+}
+
+// detectSrcConfigFileType - Detects the type of the source config file present in the .choreo directory
+function detectSrcConfigFileType(sourceRootDir) {
+  const choreoDir = path.join(sourceRootDir, ".choreo");
+  const presentFileTypes = Object.values(sourceConfigFileTypes).filter(
+    (fileType) => fs.existsSync(path.join(choreoDir, fileType))
+  );
+  if (presentFileTypes.length === 0) {
+    throw new Error(
+      `No source config file found in ${choreoDir}. Expected one of: ${Object.values(
+        sourceConfigFileTypes
+      ).join(", ")}`
+    );
+  }
+  if (presentFileTypes.length > 1) {
+    throw new Error(
+      `Found conflicting source config files in ${choreoDir}: ${presentFileTypes.join(
+        ", "
+      )}. Keep only one of them, preferably component.yaml v${LATEST_COMPONENT_YAML_SCHEMA_VERSION}`
+    );
+  }
+  return presentFileTypes[0];
+}
+
+// detectContentFileType - Detects the type of a source config file from the top level keys of its content
+function detectContentFileType(content) {
+  const detectError =
+    "Failed to detect the source config file type of the content, pass its fileType";
+  let srcConfigYamlFile;
+  try {
+    srcConfigYamlFile = parseYaml(content);
+  } catch (error) {
+    throw new Error(`${detectError}: ${error.message}`);
+  }
+  if ("schemaVersion" in srcConfigYamlFile) {
+    return sourceConfigFileTypes.COMPONENT_YAML;
+  }
+  if ("apiVersion" in srcConfigYamlFile || "kind" in srcConfigYamlFile) {
+    return sourceConfigFileTypes.COMPONENT_CONFIG_YAML;
+  }
+  if ("version" in srcConfigYamlFile && "endpoints" in srcConfigYamlFile) {
+    return sourceConfigFileTypes.ENDPOINT_YAML;
+  }
+  throw new Error(
+    `${detectError}: it has neither a schemaVersion, an apiVersion or kind, nor a version and endpoints`
+  );
+}
+
+function parseYaml(fileContent) {
+  let parsedYaml;
+  try {
+    parsedYaml = yaml.load(fileContent);
+  } catch (error) {
+    const parseError = new Error(`Failed to parse yaml: ${error.message}`);
+    // keep the position of the syntax error reported by js-yaml
+    parseError.mark = error.mark;
+    throw parseError;
+  }
+  if (
+    !parsedYaml ||
+    typeof parsedYaml !== "object" ||
+    Array.isArray(parsedYaml)
+  ) {
+    throw new Error("Failed to parse yaml: the file must contain a mapping");
+  }
+  return parsedYaml;
+}
+
+// createIssue - Creates an entry of the errors or warnings list of a validation result
+function createIssue(
+  rule,
+  message,
+  { path = null, line = null, column = null } = {}
+) {
+  return { path, message, rule, line, column };
+}
+
+// formatIssue - Formats an error or warning message along with its position in the source config file
+function formatIssue(issue) {
+  return issue.line
+    ? `${issue.message} (line ${issue.line}, column ${issue.column})`
+    : issue.message;
+}
+
+function constructValidationErrorMessage(errors, fileType) {
+  const errorMsg = `${errCodes.USER_ERROR} ${fileType} validation failed: `;
+  const errorList =
+    errors.length === 1
+      ? formatIssue(errors[0])
+      : errors.map((e) => `\n- ${formatIssue(e)}`).join("");
+  return errorMsg + errorList;
+}
+
+// getSchemaVersion - Returns the version field of the given source config file
+function getSchemaVersion(fileType, srcConfigYamlFile) {
+  switch (fileType) {
+    case sourceConfigFileTypes.COMPONENT_YAML:
+      return srcConfigYamlFile.schemaVersion ?? null;
+    case sourceConfigFileTypes.COMPONENT_CONFIG_YAML:
+      return srcConfigYamlFile.apiVersion ?? null;
+    case sourceConfigFileTypes.ENDPOINT_YAML:
+      return srcConfigYamlFile.version ?? null;
+    default:
+      return null;
+  }
+}
+
+function getComponentYamlSchema(sourceRootDir, schemaVersion) {
+  const parsedSchemaVersion = Number(schemaVersion);
+  switch (parsedSchemaVersion) {
+    case 1.0:
+      return componentYamlSchemaV1D0(sourceRootDir);
+    case 1.1:
+      return componentYamlSchemaV1D1(sourceRootDir);
+    case 1.2:
+      return componentYamlSchemaV1D2(sourceRootDir);
+    default:
+      return null;
+  }
+}
+
+// toValidationErrors - Converts a yup ValidationError into a list of validation result errors
+function toValidationErrors(err) {
+  const innerErrors = err.inner && err.inner.length > 0 ? err.inner : [err];
+  return innerErrors.map((e) =>
+    createIssue(e.type || null, e.message, { path: e.path || null })
+  );
+}
+
+// getSourceConfigSchema - Returns the schema of the parsed source config file, or null when it is a
+// component.yaml of an unsupported schema version
+function getSourceConfigSchema(sourceRootDir, fileType, srcConfigYamlFile) {
+  switch (fileType) {
+    case sourceConfigFileTypes.COMPONENT_YAML:
+      return getComponentYamlSchema(
+        sourceRootDir,
+        srcConfigYamlFile.schemaVersion
+      );
+    case sourceConfigFileTypes.COMPONENT_CONFIG_YAML:
+      return componentConfigYamlSchemaV1beta1(sourceRootDir);
+    case sourceConfigFileTypes.ENDPOINT_YAML:
+      return endpointYamlSchemaV0D1(sourceRootDir);
+    default:
+      throw new Error(`'${fileType}' is not a valid source config file type`);
+  }
+}
+
+// validateSourceConfigFile - Validates the parsed source config file against the schema of its file type
+// and returns the list of validation errors
+async function validateSourceConfigFile(
+  sourceRootDir,
+  fileType,
+  srcConfigYamlFile
+) {
+  const schema = getSourceConfigSchema(
+    sourceRootDir,
+    fileType,
+    srcConfigYamlFile
+  );
+  if (!schema) {
+    return [
+      createIssue(
+        validationRules.SCHEMA_VERSION,
+        `schemaVersion must be one of the following values: 1.0, 1.1, ${LATEST_COMPONENT_YAML_SCHEMA_VERSION}`,
+        { path: "schemaVersion" }
+      ),
+    ];
+  }
+  try {
+    await schema.validate(srcConfigYamlFile, { abortEarly: false });
+    return [];
+  } catch (err) {
+    if (!err.errors || err.errors.length == 0) {
+      throw new Error(
+        `${errCodes.INTERNAL_ERROR} Failed to validate ${fileType}, something went wrong:` +
+          err
+      );
+    }
+    return toValidationErrors(err);
+  }
+}
+
+// validate - Validates a source config file and returns a structured result. The file is read from
+// <sourceRootDir>/.choreo/<fileType> unless its content is given. When fileType is omitted, it is detected
+// from the top level keys of the content, or from the files present in the .choreo directory. Only unexpected
+// internal errors are thrown.
+async function validate({
+  sourceRootDir = ".",
+  fileType,
+  content,
+  // path of the Dockerfile to cross-check the endpoint ports against, relative to sourceRootDir
+  dockerfilePath,
+  // rule levels, which take precedence over the .choreo/validator.yaml file
+  rules = {},
+  // plugin module paths relative to the working directory, run along with those of .choreo/validator.yaml
+  plugins = [],
+  // report the keys that the schema of the file does not define
+  strict = false,
+} = {}) {
+  if (!fileType) {
+    try {
+      fileType =
+        content === undefined
+          ? detectSrcConfigFileType(sourceRootDir)
+          : detectContentFileType(content);
+    } catch (error) {
+      return {
+        valid: false,
+        fileType: null,
+        schemaVersion: null,
+        errors: [
+          createIssue(validationRules.DETECT_SOURCE_CONFIG, error.message),
+        ],
+        warnings: [],
+        suppressions: [],
+      };
+    }
+  }
+
+  const result = {
+    valid: false,
+    fileType,
+    schemaVersion: null,
+    errors: [],
+    warnings: [],
+    suppressions: [],
+  };
+
+  if (!Object.values(sourceConfigFileTypes).includes(fileType)) {
+    result.errors.push(
+      createIssue(
+        validationRules.FILE_TYPE,
+        `'${fileType}' is not a valid source config file type`
+      )
+    );
+    return result;
+  }
+
+  let fileContent = content;
+  if (fileContent === undefined) {
+    try {
+      fileContent = readSrcConfigYaml(sourceRootDir, fileType);
+    } catch (error) {
+      result.errors.push(
+        createIssue(validationRules.READ_SOURCE_CONFIG, error.message)
+      );
+      return result;
+    }
+  }
+
+  let srcConfigYamlFile;
+  try {
+    srcConfigYamlFile = parseYaml(fileContent);
+  } catch (error) {
+    // js-yaml marks are zero based
+    result.errors.push(
+      createIssue(validationRules.PARSE_YAML, error.message, {
+        line: error.mark ? error.mark.line + 1 : null,
+        column: error.mark ? error.mark.column + 1 : null,
+      })
+    );
+    return result;
+  }
+
+  result.schemaVersion = getSchemaVersion(fileType, srcConfigYamlFile);
+  const warning = getOlderSrcConfigDetectedMessage(
+    fileType,
+    srcConfigYamlFile.schemaVersion || null
+  );
+  if (warning) {
+    result.warnings.push(
+      createIssue(validationRules.OUTDATED_SOURCE_CONFIG, warning)
+    );
+  }
+
+  result.errors = await validateSourceConfigFile(
+    sourceRootDir,
+    fileType,
+    srcConfigYamlFile
+  );
+  const schema = strict
+    ? getSourceConfigSchema(sourceRootDir, fileType, srcConfigYamlFile)
+    : null;
+  // unsupported schema versions are reported by the schema-version rule
+  if (schema) {
+    for (const issue of findUnknownKeys(schema.describe(), srcConfigYamlFile)) {
+      result.errors.push(
+        createIssue(issue.rule, issue.message, { path: issue.path })
+      );
+    }
+  }
+  const diagnostics = await runDocumentChecks(srcConfigYamlFile, {
+    fileType,
+    schemaVersion: result.schemaVersion,
+    sourceRootDir,
+    dockerfilePath,
+  });
+  const validatorConfig = readValidatorConfig(sourceRootDir);
+  const pluginPaths = [
+    ...new Set([
+      ...validatorConfig.plugins,
+      ...plugins.map((pluginPath) => path.resolve(pluginPath)),
+    ]),
+  ];
+  const pluginResult = await runPlugins(pluginPaths, srcConfigYamlFile, {
+    fileType,
+    schemaVersion: result.schemaVersion,
+    sourceRootDir,
+  });
+  diagnostics.push(...pluginResult.diagnostics);
+  for (const diagnostic of diagnostics) {
+    const issue = createIssue(diagnostic.rule, diagnostic.message, {
+      path: diagnostic.path,
+    });
+    if (diagnostic.severity === severities.WARNING) {
+      result.warnings.push(issue);
+    } else {
+      result.errors.push(issue);
+    }
+  }
+
+  // map the error paths back to their line and column in the source config file
+  const getPosition = createSourceMap(fileContent);
+  // file level issues have no path and keep no position, which would be the first key of the file
+  const withPosition = (issue) =>
+    issue.path === null
+      ? issue
+      : {
+          ...issue,
+          // unknown keys are pointed at by their key, their value may be fine
+          ...getPosition(issue.path, {
+            atKey: issue.rule === validationRules.UNKNOWN_KEY,
+          }),
+        };
+  result.errors = result.errors.map(withPosition);
+  result.warnings = result.warnings.map(withPosition);
+
+  for (const message of validatorConfig.errors) {
+    result.errors.push(
+      createIssue(validationRules.INVALID_VALIDATOR_CONFIG, message)
+    );
+  }
+  for (const message of pluginResult.errors) {
+    result.errors.push(createIssue(validationRules.PLUGIN_ERROR, message));
+  }
+  return applyRuleConfig(
+    result,
+    { ...validatorConfig.rules, ...rules },
+    fileContent
+  );
+}
+
+module.exports = {
+  validate,
+  detectSrcConfigFileType,
+  detectContentFileType,
+  getSrcConfigFilePath,
+  getOlderSrcConfigDetectedMessage,
+  readSrcConfigYaml,
+  parseYaml,
+  createIssue,
+  formatIssue,
+  constructValidationErrorMessage,
+  validateSourceConfigFile,
+};
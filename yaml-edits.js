@@ -0,0 +1,81 @@
+const { parseDocument, isMap, isScalar, Scalar } = require("yaml");
+const { errCodes } = require("./enums");
+
+// parseYamlDocument - Parses the yaml content into a document that keeps the source range of every node
+function parseYamlDocument(content) {
+  const doc = parseDocument(content);
+  if (doc.errors.length > 0) {
+    throw new Error(
+      `${errCodes.USER_ERROR} Failed to parse yaml: ${doc.errors[0].message}`
+    );
+  }
+  return doc;
+}
+
+// findPair - Returns the pair of the given key in a yaml map node, or undefined when the node is not a map or
+// does not have the key
+function findPair(node, key) {
+  if (!isMap(node)) {
+    return undefined;
+  }
+  return node.items.find(
+    (pair) => isScalar(pair.key) && pair.key.value === key
+  );
+}
+
+// replaceNode - Creates an edit that replaces the value of a node, excluding its trailing comment
+function replaceNode(node, text) {
+  return { start: node.range[0], end: node.range[1], text };
+}
+
+// replaceScalar - Creates an edit that replaces the value of a string scalar, keeping its quotes
+function replaceScalar(node, value) {
+  switch (node.type) {
+    case Scalar.PLAIN:
+      return replaceNode(node, value);
+    case Scalar.QUOTE_SINGLE:
+      return replaceNode(node, `'${value.replace(/'/g, "''")}'`);
+    default:
+      return replaceNode(node, JSON.stringify(value));
+  }
+}
+
+// removeSeqItem - Creates an edit that removes an item other than the first one from a yaml sequence node.
+// Block sequence items are removed along with their line.
+function removeSeqItem(content, seq, index) {
+  const item = seq.items[index];
+  if (seq.flow) {
+    return {
+      start: seq.items[index - 1].range[1],
+      end: item.range[1],
+      text: "",
+    };
+  }
+  const lineEnd = content.indexOf("\n", item.range[1]);
+  return {
+    start: content.lastIndexOf("\n", item.range[0]) + 1,
+    end: lineEnd === -1 ? content.length : lineEnd + 1,
+    text: "",
+  };
+}
+
+// applyEdits - Applies { start, end, text } edits, which must not overlap, to the yaml content. Editing the text
+// instead of serializing the document again keeps the comments and formatting of the rest of the file.
+function applyEdits(content, edits) {
+  return [...edits]
+    .sort((a, b) => b.start - a.start)
+    .reduce(
+      (result, edit) =>
+        result.slice(0, edit.start) + edit.text + result.slice(edit.end),
+      content
+    );
+}
+
+module.exports = {
+  parseYamlDocument,
+  findPair,
+  replaceNode,
+  replaceScalar,
+  removeSeqItem,
+  applyEdits,
+};